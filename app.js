@@ -22,11 +22,33 @@ class SimulatorUI {
         this.currentInstruction = document.getElementById('currentInstruction');
         this.registersDisplay = document.getElementById('registersDisplay');
         this.memoryVisualization = document.getElementById('memoryVisualization');
+        this.listingDisplay = document.getElementById('listingDisplay');
         this.consoleOutput = document.getElementById('consoleOutput');
         this.clearConsoleBtn = document.getElementById('clearConsoleBtn');
         this.consoleInputContainer = document.getElementById('consoleInputContainer');
         this.consoleInput = document.getElementById('consoleInput');
         this.consoleInputBtn = document.getElementById('consoleInputBtn');
+        this.expandImmediatesToggle = document.getElementById('expandImmediatesToggle');
+        this.exampleSelect = document.getElementById('exampleSelect');
+        this.elfInput = document.getElementById('elfInput');
+        this.elfExportType = document.getElementById('elfExportType');
+        this.downloadElfBtn = document.getElementById('downloadElfBtn');
+        this.memoryExportSource = document.getElementById('memoryExportSource');
+        this.memoryAddressInput = document.getElementById('memoryAddressInput');
+        this.memoryLengthInput = document.getElementById('memoryLengthInput');
+        this.memoryExportFormat = document.getElementById('memoryExportFormat');
+        this.memoryExportBtn = document.getElementById('memoryExportBtn');
+        this.memoryImportInput = document.getElementById('memoryImportInput');
+        
+        // Fill the examples menu
+        if (this.exampleSelect && typeof EXAMPLE_PROGRAMS !== 'undefined') {
+            EXAMPLE_PROGRAMS.forEach(example => {
+                const option = document.createElement('option');
+                option.value = example.id;
+                option.textContent = example.title;
+                this.exampleSelect.appendChild(option);
+            });
+        }
         
         // Promise resolver for input
         this.inputResolver = null;
@@ -102,6 +124,67 @@ class SimulatorUI {
         if (this.clearConsoleBtn) {
             this.clearConsoleBtn.addEventListener('click', () => this.clearConsole());
         }
+        if (this.expandImmediatesToggle) {
+            this.expandImmediatesToggle.addEventListener('change', () => {
+                this.simulator.setAssemblerOptions({ expandWideImmediates: this.expandImmediatesToggle.checked });
+            });
+        }
+        
+        if (this.exampleSelect) {
+            this.exampleSelect.addEventListener('change', () => {
+                const example = EXAMPLE_PROGRAMS.find(e => e.id === this.exampleSelect.value);
+                if (example) {
+                    this.assemblyInput.value = example.code;
+                    this.loadProgram();
+                }
+                this.exampleSelect.value = '';
+            });
+        }
+        
+        if (this.elfInput) {
+            this.elfInput.addEventListener('change', () => {
+                const file = this.elfInput.files[0];
+                if (file) {
+                    this.loadFile(file);
+                }
+                this.elfInput.value = '';
+            });
+        }
+        
+        if (this.downloadElfBtn) {
+            this.downloadElfBtn.addEventListener('click', () => this.downloadELF());
+        }
+        
+        if (this.memoryExportBtn) {
+            this.memoryExportBtn.addEventListener('click', () => this.exportMemory());
+        }
+        if (this.memoryImportInput) {
+            this.memoryImportInput.addEventListener('change', () => {
+                const file = this.memoryImportInput.files[0];
+                if (file) {
+                    this.importMemory(file);
+                }
+                this.memoryImportInput.value = '';
+            });
+        }
+        
+        // Files dropped on the editor: ELF executables are loaded, anything else is opened as source
+        const editorWrapper = this.assemblyInput && this.assemblyInput.parentElement;
+        if (editorWrapper) {
+            editorWrapper.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                editorWrapper.classList.add('drag-over');
+            });
+            editorWrapper.addEventListener('dragleave', () => editorWrapper.classList.remove('drag-over'));
+            editorWrapper.addEventListener('drop', (e) => {
+                e.preventDefault();
+                editorWrapper.classList.remove('drag-over');
+                const file = e.dataTransfer.files[0];
+                if (file) {
+                    this.loadFile(file);
+                }
+            });
+        }
         
         // Update ribbon position when textarea scrolls
         if (this.assemblyInput) {
@@ -169,8 +252,11 @@ class SimulatorUI {
             // Instruction (only in .text section)
             if (currentSection === 'text') {
                 // Try to parse as instruction - use the same logic as parser
-                const parsed = this.simulator.parseInstruction(trimmed);
-                if (parsed) {
+                // A pseudo-instruction expansion maps every generated instruction to the same line
+                const parsed = this.simulator.parseInstruction(lineAfterLabel);
+                const expansion = this.simulator.expandPseudoInstruction(parsed);
+                const count = expansion ? expansion.length : (parsed ? 1 : 0);
+                for (let i = 0; i < count; i++) {
                     this.instructionLineMap.set(instructionIndex, lineNum);
                     instructionIndex++;
                 }
@@ -191,7 +277,16 @@ class SimulatorUI {
             
             this.simulator.loadProgram(code);
             this.updateDisplay();
-            this.updateStatus('Program loaded');
+            // Count source lines that were expanded into several instructions
+            const expandedLines = new Set();
+            this.simulator.instructions.forEach((instr, index) => {
+                if (instr.expandedFrom) {
+                    expandedLines.add(this.instructionLineMap.get(index));
+                }
+            });
+            this.updateStatus(expandedLines.size > 0
+                ? `Program loaded (${expandedLines.size} mov expanded to movz/movk)`
+                : 'Program loaded');
             this.highlightCurrentInstruction();
         } catch (error) {
             console.error('Error loading program:', error);
@@ -206,14 +301,142 @@ class SimulatorUI {
         }
     }
 
+    async loadFile(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const isELF = bytes.length >= 4 && bytes[0] === 0x7F && bytes[1] === 0x45 && bytes[2] === 0x4C && bytes[3] === 0x46;
+        if (!isELF) {
+            // Assembly source: put it in the editor and assemble it
+            this.assemblyInput.value = new TextDecoder().decode(bytes);
+            this.loadProgram();
+            return;
+        }
+
+        try {
+            this.simulator.loadELF(bytes, file.name);
+            // There are no source lines to follow; the listing shows the disassembly
+            this.instructionLineMap = new Map();
+            this.updateDisplay();
+            const entry = this.simulator.registers.pc.toString(16).toUpperCase().padStart(8, '0');
+            const symbols = this.simulator.symbolTable.size;
+            this.updateStatus(`Loaded ${file.name} (${this.simulator.segments.length} segments, ${symbols} symbols, entry 0x${entry})`);
+            this.highlightCurrentInstruction();
+        } catch (error) {
+            console.error('Error loading ELF file:', error);
+            alert(`Error loading ${file.name}: ${error.message}`);
+            this.updateStatus(`Error: ${error.message}`);
+        }
+    }
+
+    downloadELF() {
+        // Save the loaded program as an ELF executable or object file for real AArch64 hardware
+        const relocatable = this.elfExportType && this.elfExportType.value === 'object';
+        const fileName = relocatable ? 'program.o' : 'program';
+        try {
+            const bytes = this.simulator.exportELF(relocatable);
+            this.saveFile(fileName, bytes);
+            this.updateStatus(relocatable
+                ? `Saved ${fileName} (${bytes.length} bytes): link it with gcc or ld`
+                : `Saved ${fileName} (${bytes.length} bytes): chmod +x ${fileName} to run it`);
+        } catch (error) {
+            console.error('Error exporting ELF file:', error);
+            alert(`Error exporting ELF: ${error.message}`);
+            this.updateStatus(`Error: ${error.message}`);
+        }
+    }
+
+    exportMemory() {
+        // Save a memory range, a region or the whole image as a raw binary or Intel HEX file
+        const source = this.memoryExportSource.value;
+        const format = this.memoryExportFormat.value;
+        try {
+            if (source === 'image' && format === 'bin') {
+                this.exportImageBinaries();
+                return;
+            }
+            const range = source === 'range'
+                ? { start: this.parseAddressInput(this.memoryAddressInput.value), length: Number(this.parseAddressInput(this.memoryLengthInput.value)) }
+                : source;
+            const { data, start } = this.simulator.exportMemory(range, format);
+            // A raw binary does not record where it came from, so the file name does
+            const address = start.toString(16).toUpperCase().padStart(8, '0');
+            const fileName = `${source === 'range' ? 'memory' : source}_${address}.${format}`;
+            this.saveFile(fileName, data);
+            this.updateStatus(format === 'hex'
+                ? `Saved ${fileName}`
+                : `Saved ${fileName} (${data.length} bytes from 0x${address})`);
+        } catch (error) {
+            console.error('Error exporting memory:', error);
+            alert(`Error exporting memory: ${error.message}`);
+            this.updateStatus(`Error: ${error.message}`);
+        }
+    }
+
+    exportImageBinaries() {
+        // One raw binary per populated region: the regions are megabytes apart (the stack ~128MB above
+        // the code), so a single zero-filled .bin of the whole image would be far too large
+        const blocks = this.simulator.getMemoryBlocks('image');
+        if (blocks.length === 0) {
+            throw new Error('Nothing to export: memory holds no data');
+        }
+        const fileNames = blocks.map(block => {
+            const address = block.address.toString(16).toUpperCase().padStart(8, '0');
+            const fileName = `${this.simulator.getMemoryRegion(block.address).key}_${address}.bin`;
+            this.saveFile(fileName, block.bytes);
+            return fileName;
+        });
+        this.updateStatus(`Saved ${fileNames.join(', ')}`);
+    }
+
+    async importMemory(file) {
+        // Load a file's bytes into memory at the address in the address field
+        try {
+            const address = this.parseAddressInput(this.memoryAddressInput.value);
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const { start, end, region } = this.simulator.importMemory(bytes, address);
+            this.updateDisplay();
+            const hex = (value) => value.toString(16).toUpperCase().padStart(8, '0');
+            this.updateStatus(`Imported ${file.name} (${bytes.length} bytes) at 0x${hex(start)}-0x${hex(end)} (${region})`);
+        } catch (error) {
+            console.error('Error importing memory:', error);
+            alert(`Error importing ${file.name}: ${error.message}`);
+            this.updateStatus(`Error: ${error.message}`);
+        }
+    }
+
+    parseAddressInput(text) {
+        // An address field: a number (0x... or decimal) or the name of a symbol
+        const value = text.trim();
+        if (!value) {
+            throw new Error('Enter an address (a number or a label)');
+        }
+        if (this.simulator.symbolTable.has(value)) {
+            return this.simulator.symbolTable.get(value).address;
+        }
+        try {
+            return BigInt(value);
+        } catch (e) {
+            throw new Error(`Invalid address '${value}': not a number or a known label`);
+        }
+    }
+
+    saveFile(fileName, data) {
+        // Offer data (bytes or text) to the browser as a download
+        const url = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     async step() {
         if (this.simulator.instructions.length === 0) {
             this.updateStatus('No program loaded');
             return;
         }
 
-        if (this.simulator.currentInstructionIndex >= this.simulator.instructions.length) {
-            this.updateStatus('Program finished');
+        if (this.isProgramFinished()) {
+            this.updateStatus(this.getFinishedStatus());
             return;
         }
 
@@ -222,9 +445,11 @@ class SimulatorUI {
             if (success) {
                 this.updateDisplay();
                 this.highlightCurrentInstruction();
-                this.updateStatus('Stepped');
+                this.updateStatus(this.simulator.breakpoint ? this.getBreakpointStatus() : 'Stepped');
             } else {
-                this.updateStatus('Program finished');
+                this.updateDisplay();
+                this.highlightCurrentInstruction();
+                this.updateStatus(this.getFinishedStatus());
             }
         } catch (error) {
             this.updateStatus(`Error: ${error.message}`);
@@ -238,8 +463,8 @@ class SimulatorUI {
             return;
         }
 
-        if (this.simulator.currentInstructionIndex >= this.simulator.instructions.length) {
-            this.updateStatus('Program finished');
+        if (this.isProgramFinished()) {
+            this.updateStatus(this.getFinishedStatus());
             return;
         }
 
@@ -260,9 +485,13 @@ class SimulatorUI {
                 this.updateDisplay();
                 this.highlightCurrentInstruction();
 
-                if (!success || this.simulator.currentInstructionIndex >= this.simulator.instructions.length) {
+                if (!success || this.simulator.isFinished()) {
+                    this.pause();
+                    this.updateStatus(this.getFinishedStatus());
+                } else if (this.simulator.breakpoint) {
+                    // brk/hlt in the source act as breakpoints: stop here, Run or Step continues
                     this.pause();
-                    this.updateStatus('Program finished');
+                    this.updateStatus(this.getBreakpointStatus());
                 } else {
                     // Schedule next step
                     this.runInterval = setTimeout(runLoop, 500);
@@ -306,6 +535,24 @@ class SimulatorUI {
         this.stepBtn.disabled = false;
     }
 
+    isProgramFinished() {
+        return this.simulator.isFinished();
+    }
+
+    getFinishedStatus() {
+        const count = this.simulator.executedInstructionCount;
+        const executed = `${count} instruction${count === 1 ? '' : 's'} executed`;
+        if (this.simulator.exitStatus !== null) {
+            return `Process exited with code ${this.simulator.exitStatus} (${executed})`;
+        }
+        return `Program finished (${executed})`;
+    }
+
+    getBreakpointStatus() {
+        const { opcode, immediate, address } = this.simulator.breakpoint;
+        return `Breakpoint: ${opcode} #${immediate} at 0x${address.toString(16).toUpperCase().padStart(8, '0')}`;
+    }
+
     updateStatus(message) {
         this.statusText.textContent = message;
     }
@@ -314,14 +561,24 @@ class SimulatorUI {
         const currentIndex = this.simulator.currentInstructionIndex;
         
         // Update current instruction display
-        if (currentIndex < this.simulator.instructions.length) {
-            const instruction = this.simulator.instructions[currentIndex];
+        if (!this.isProgramFinished()) {
+            // The instruction as it is in memory: the source line unless the code has been rewritten
+            const instruction = this.simulator.getCurrentInstruction();
+            const isSourceLine = instruction !== null && instruction === this.simulator.instructions[currentIndex];
             const pcAddr = this.simulator.registers.pc;
-            this.currentInstruction.textContent = `PC: 0x${pcAddr.toString(16).toUpperCase().padStart(8, '0')} (${currentIndex}) | ${instruction.original}`;
+            const pcText = `PC: 0x${pcAddr.toString(16).toUpperCase().padStart(8, '0')}`;
+            if (!instruction) {
+                this.currentInstruction.textContent = `${pcText} | (unmapped)`;
+            } else if (isSourceLine) {
+                const expansionNote = instruction.expandedFrom ? `  ← ${instruction.expandedFrom}` : '';
+                this.currentInstruction.textContent = `${pcText} (${currentIndex}) | ${instruction.original}${expansionNote}`;
+            } else {
+                this.currentInstruction.textContent = `${pcText} | ${instruction.original}`;
+            }
             
             // Use the instruction line map to find the correct line
             let instructionLineIndex = -1;
-            if (this.instructionLineMap && this.instructionLineMap.has(currentIndex)) {
+            if (isSourceLine && this.instructionLineMap && this.instructionLineMap.has(currentIndex)) {
                 instructionLineIndex = this.instructionLineMap.get(currentIndex);
             }
             
@@ -359,7 +616,9 @@ class SimulatorUI {
                 this.instructionRibbon.style.display = 'none';
             }
         } else {
-            this.currentInstruction.textContent = 'Program finished';
+            this.currentInstruction.textContent = this.simulator.exitStatus !== null
+                ? `Process exited with code ${this.simulator.exitStatus}`
+                : 'Program finished';
             if (this.instructionRibbon) {
                 this.instructionRibbon.style.display = 'none';
             }
@@ -369,6 +628,94 @@ class SimulatorUI {
     updateDisplay() {
         this.updateRegisters();
         this.updateMemory();
+        this.updateListing();
+    }
+
+    updateListing() {
+        // Disassembly of the code as it is in memory: address | word | instruction, with the
+        // instruction at PC highlighted. Source lines that disassemble differently are noted.
+        if (!this.listingDisplay) return;
+        const simulator = this.simulator;
+        const instructions = simulator.instructions;
+        const pc = simulator.registers.pc;
+        const finished = this.isProgramFinished();
+        
+        const sections = [];
+        if (instructions.length > 0) {
+            simulator.codeSegments.forEach(range => {
+                const words = Math.ceil(Number(range.end - range.start) / 4);
+                sections.push({ title: null, words: simulator.disassemble(range.start, words) });
+            });
+            
+            // Code running elsewhere (e.g. copied to the heap) gets a window of words around PC
+            const region = simulator.getMemorySection(pc);
+            const inCode = simulator.codeSegments.some(range => pc >= range.start && pc < range.end);
+            if (!finished && region && !inCode) {
+                const regionStart = simulator.memoryLayout[region].start;
+                const start = pc - 16n > regionStart ? pc - 16n : regionStart;
+                sections.push({ title: `${region} (around PC)`, words: simulator.disassemble(start & ~3n, 12) });
+            }
+        }
+        
+        // Rows only need rebuilding when the words in memory change
+        const key = sections.map(section => section.words.map(word => `${word.address}:${word.encoding}`).join(',')).join('|');
+        if (this.listingKey !== key) {
+            this.listingKey = key;
+            this.listingRows = new Map();
+            this.listingDisplay.innerHTML = '';
+            if (instructions.length === 0) {
+                this.listingDisplay.innerHTML = '<div class="listing-empty">No program loaded</div>';
+            }
+            const sourceLines = new Map(instructions.map(instr => [instr.address, instr]));
+            const addRow = (className, columns) => {
+                const row = document.createElement('div');
+                row.className = className;
+                columns.forEach(([columnClass, text]) => {
+                    const span = document.createElement('span');
+                    span.className = columnClass;
+                    span.textContent = text;
+                    row.appendChild(span);
+                });
+                this.listingDisplay.appendChild(row);
+                return row;
+            };
+            sections.forEach(section => {
+                if (section.title) {
+                    addRow('listing-row listing-label', [['listing-source', section.title]]);
+                }
+                section.words.forEach(word => {
+                    const label = simulator.decoder.labels.get(word.address);
+                    if (label && !section.title) {
+                        addRow('listing-row listing-label', [['listing-source', `${label}:`]]);
+                    }
+                    const columns = [
+                        ['listing-address', word.address.toString(16).toUpperCase().padStart(8, '0')],
+                        ['listing-encoding', word.encoding.toString(16).toUpperCase().padStart(8, '0')],
+                        ['listing-source', word.original]
+                    ];
+                    const source = sourceLines.get(word.address);
+                    if (source && source.encoding === word.encoding) {
+                        const sourceText = source.expandedFrom || source.original;
+                        if (sourceText.replace(/\s+/g, ' ') !== word.original) {
+                            columns.push(['listing-note', `// ${sourceText}`]);
+                        }
+                    }
+                    this.listingRows.set(word.address, addRow('listing-row', columns));
+                });
+            });
+        }
+        
+        this.listingRows.forEach((row, address) => {
+            const isCurrent = !finished && address === pc;
+            row.classList.toggle('current', isCurrent);
+            if (isCurrent) {
+                // Keep the current row in view without scrolling the page
+                const top = row.offsetTop - this.listingDisplay.offsetTop;
+                if (top < this.listingDisplay.scrollTop || top + row.offsetHeight > this.listingDisplay.scrollTop + this.listingDisplay.clientHeight) {
+                    this.listingDisplay.scrollTop = Math.max(0, top - this.listingDisplay.clientHeight / 2);
+                }
+            }
+        });
     }
 
     updateRegisters() {
@@ -444,6 +791,95 @@ class SimulatorUI {
                 }, 600);
             }
         });
+
+        // System registers readable with mrs: flags, thread pointer and the virtual counter
+        const nzcv = this.simulator.readSystemRegister('nzcv');
+        const flagLetters = ['N', 'Z', 'C', 'V']
+            .map(flag => this.simulator.flags[flag] ? flag : flag.toLowerCase())
+            .join('');
+        const systemRegs = [
+            { name: 'NZCV', value: toHex64(nzcv), detail: flagLetters, key: 'nzcv' },
+            { name: 'TPIDR_EL0', value: toHex64(this.simulator.readSystemRegister('tpidr_el0')), key: 'tpidr_el0' },
+            { name: 'CNTVCT_EL0', value: toHex64(this.simulator.readSystemRegister('cntvct_el0')), key: 'cntvct_el0' }
+        ];
+        systemRegs.forEach(reg => {
+            const isChanged = this.simulator.changedRegisters.has(reg.key);
+
+            const registerItem = document.createElement('div');
+            registerItem.className = `register-item ${isChanged ? 'changed' : ''}`;
+
+            const registerName = document.createElement('div');
+            registerName.className = 'register-name';
+            registerName.textContent = reg.name;
+
+            const registerValue = document.createElement('div');
+            registerValue.className = 'register-value';
+            registerValue.textContent = reg.value;
+
+            registerItem.appendChild(registerName);
+            registerItem.appendChild(registerValue);
+            if (reg.detail) {
+                const detail = document.createElement('div');
+                detail.className = 'register-decimal';
+                detail.textContent = reg.detail;
+                registerItem.appendChild(detail);
+            }
+            this.registersDisplay.appendChild(registerItem);
+
+            // Remove highlight after animation
+            if (isChanged) {
+                setTimeout(() => {
+                    registerItem.classList.remove('changed');
+                }, 600);
+            }
+        });
+
+        // SIMD/FP registers: raw bits of Dn, plus Dn and Sn as decimal values.
+        // A register last written as a vector shows all 128 bits and its lanes instead.
+        for (let i = 0; i < 32; i++) {
+            const dReg = { type: 'd', num: i, name: `d${i}` };
+            const sReg = { type: 's', num: i, name: `s${i}` };
+            const dBits = this.simulator.getRegisterValue(dReg);
+            const sBits = this.simulator.getRegisterValue(sReg);
+            const arrangement = this.simulator.vectorArrangements[i];
+            const isChanged = this.simulator.changedRegisters.has(`v${i}`);
+
+            const registerItem = document.createElement('div');
+            registerItem.className = `register-item ${isChanged ? 'changed' : ''}`;
+            
+            const registerName = document.createElement('div');
+            registerName.className = 'register-name';
+            registerName.textContent = arrangement ? `V${i}.${arrangement}` : `D${i} / S${i}`;
+            
+            const registerValue = document.createElement('div');
+            registerValue.className = 'register-value';
+            
+            const decimalValue = document.createElement('div');
+            decimalValue.className = 'register-decimal';
+            if (arrangement) {
+                // Lanes listed from lane 0 upwards, as unsigned decimal
+                const laneBits = { b: 8, h: 16, s: 32, d: 64 }[arrangement.slice(-1)];
+                const lanes = this.simulator.getVectorLanes(i, laneBits, parseInt(arrangement));
+                registerValue.textContent = `0x${this.simulator.fpRegisters[`v${i}`].toString(16).toUpperCase().padStart(32, '0')}`;
+                decimalValue.textContent = lanes.join(' | ');
+            } else {
+                registerValue.textContent = toHex64(dBits);
+                decimalValue.textContent = `d ${this.simulator.fpBitsToNumber(dBits, 64)}  s ${this.simulator.fpBitsToNumber(sBits, 32)}`;
+            }
+            decimalValue.title = decimalValue.textContent;
+            
+            registerItem.appendChild(registerName);
+            registerItem.appendChild(registerValue);
+            registerItem.appendChild(decimalValue);
+            this.registersDisplay.appendChild(registerItem);
+
+            // Remove highlight after animation
+            if (isChanged) {
+                setTimeout(() => {
+                    registerItem.classList.remove('changed');
+                }, 600);
+            }
+        }
     }
 
     updateMemory() {
@@ -459,8 +895,8 @@ class SimulatorUI {
             regions = {};
         }
         
-        // Order: Stack, Heap, BSS, Data, Rodata (left to right)
-        const regionOrder = ['stack', 'heap', 'bss', 'data', 'rodata'];
+        // Order: Stack, Heap, BSS, Data, Rodata, Text (left to right)
+        const regionOrder = ['stack', 'heap', 'bss', 'data', 'rodata', 'text'];
         
         // Render horizontal memory map overview
         this.renderMemoryMapOverview(regions, regionOrder);
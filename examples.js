@@ -0,0 +1,53 @@
+// Example programs for the ARM64 Simulator
+// Loaded from the "Examples" menu; the scalar and vector array sums compute the
+// same total so their executed instruction counts can be compared.
+
+const EXAMPLE_PROGRAMS = [
+    {
+        id: 'array-sum-scalar',
+        title: 'Array sum (scalar)',
+        code: `// Sum 16 words one element at a time
+.data
+numbers: .word 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16
+
+.text
+.global main
+main:
+    adrp x0, numbers        // x0 = pointer to the array
+    add x0, x0, :lo12:numbers
+    mov x1, #16             // x1 = elements left
+    mov w2, #0              // w2 = running sum
+loop:
+    ldr w3, [x0], #4        // load one element, advance pointer
+    add w2, w2, w3
+    sub x1, x1, #1
+    cbnz x1, loop
+    mov w0, w2              // w0 = 136
+    ret
+`
+    },
+    {
+        id: 'array-sum-neon',
+        title: 'Array sum (NEON, 4 lanes)',
+        code: `// Sum 16 words four elements at a time
+.data
+numbers: .word 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16
+
+.text
+.global main
+main:
+    adrp x0, numbers        // x0 = pointer to the array
+    add x0, x0, :lo12:numbers
+    mov x1, #16             // x1 = elements left
+    movi v1.4s, #0          // v1 = four running sums
+loop:
+    ld1 {v0.4s}, [x0], #16  // load four elements, advance pointer
+    add v1.4s, v1.4s, v0.4s // add all four lanes at once
+    sub x1, x1, #4
+    cbnz x1, loop
+    addv s2, v1.4s          // add the four lanes together
+    umov w0, v2.s[0]        // w0 = 136
+    ret
+`
+    }
+];
@@ -1,5 +1,46 @@
 // ARM64 Assembly Simulator
 
+// System registers reachable from EL0 with mrs/msr, whether msr may write them,
+// and their op0/op1/CRn/CRm/op2 encoding
+const SYSTEM_REGISTERS = {
+    nzcv: { writable: true, op0: 3, op1: 3, crn: 4, crm: 2, op2: 0 },
+    fpcr: { writable: true, op0: 3, op1: 3, crn: 4, crm: 4, op2: 0 },
+    fpsr: { writable: true, op0: 3, op1: 3, crn: 4, crm: 4, op2: 1 },
+    tpidr_el0: { writable: true, op0: 3, op1: 3, crn: 13, crm: 0, op2: 2 },
+    cntvct_el0: { writable: false, op0: 3, op1: 3, crn: 14, crm: 0, op2: 2 },  // Virtual counter: one tick per executed instruction
+    cntfrq_el0: { writable: false, op0: 3, op1: 3, crn: 14, crm: 0, op2: 0 }   // Counter frequency in Hz
+};
+
+// Condition codes for b.cond, csel/csinc/..., ccmp/ccmn and fcsel: 4-bit encoding and test on NZCV.
+// cs/cc are the same conditions as hs/lo; al and nv both mean "always".
+const CONDITION_CODES = {
+    eq: { code: 0x0, test: f => f.Z },
+    ne: { code: 0x1, test: f => !f.Z },
+    hs: { code: 0x2, test: f => f.C },                      // Unsigned >=
+    cs: { code: 0x2, test: f => f.C },
+    lo: { code: 0x3, test: f => !f.C },                     // Unsigned <
+    cc: { code: 0x3, test: f => !f.C },
+    mi: { code: 0x4, test: f => f.N },                      // Negative
+    pl: { code: 0x5, test: f => !f.N },                     // Positive or zero
+    vs: { code: 0x6, test: f => f.V },                      // Overflow
+    vc: { code: 0x7, test: f => !f.V },                     // No overflow
+    hi: { code: 0x8, test: f => f.C && !f.Z },              // Unsigned >
+    ls: { code: 0x9, test: f => !f.C || f.Z },              // Unsigned <=
+    ge: { code: 0xA, test: f => f.N === f.V },
+    lt: { code: 0xB, test: f => f.N !== f.V },
+    gt: { code: 0xC, test: f => !f.Z && f.N === f.V },
+    le: { code: 0xD, test: f => f.Z || f.N !== f.V },
+    al: { code: 0xE, test: () => true },
+    nv: { code: 0xF, test: () => true }
+};
+
+// The virtual counter ticks once per instruction, as if each instruction took 1 microsecond,
+// so timings measured with cntvct_el0 are the same on every run
+const COUNTER_FREQUENCY = 1000000n;
+
+// C library functions provided by the simulator and reached with "bl name"
+const LIBRARY_FUNCTIONS = ['exit', '_exit', 'abort', 'printf', 'puts', 'putchar', 'scanf', 'gets', 'fgets', 'getchar'];
+
 class ARM64Simulator {
     constructor() {
         this.reset();
@@ -8,15 +49,35 @@ class ARM64Simulator {
             output: null,      // Function to output text
             inputSync: null    // Function to get input synchronously (returns string)
         };
+        // Assembler options (kept across reset)
+        this.assemblerOptions = {
+            expandWideImmediates: false  // Expand un-encodable "mov xN, #imm" into movz/movk
+        };
+        // Linux system calls made with "svc #0" (the virtual file system is kept across reset)
+        this.syscalls = new ARM64Syscalls(this);
+        // Assembles parsed instructions into A64 machine words at load time
+        this.encoder = new ARM64Encoder(this);
+        // Disassembles the machine words that step() fetches from memory
+        this.decoder = new ARM64Decoder(this);
+        // Reads static ELF executables for loadELF
+        this.elf = new ARM64ELF(this);
+        // Raw binary and Intel HEX files for exportMemory
+        this.image = new ARM64MemoryImage(this);
     }
     
     setIOCallbacks(callbacks) {
         this.ioCallbacks = callbacks;
     }
 
+    setAssemblerOptions(options) {
+        this.assemblerOptions = { ...this.assemblerOptions, ...options };
+    }
+
     reset() {
-        // Fixed ARM64 memory layout
+        // Fixed ARM64 memory layout. Text is writable so a program can patch its own code: every step
+        // fetches and decodes the word now at PC (a loaded ELF file keeps its segments' permissions)
         this.memoryLayout = {
+            text: { start: 0x00010000n, end: 0x000FFFFFn, name: 'Text', readonly: false },
             rodata: { start: 0x00100000n, end: 0x001FFFFFn, name: 'Rodata', readonly: true },
             data: { start: 0x00200000n, end: 0x002FFFFFn, name: 'Data', readonly: false },
             bss: { start: 0x00300000n, end: 0x003FFFFFn, name: 'BSS', readonly: false },
@@ -26,6 +87,7 @@ class ARM64Simulator {
         
         // Initialize region used size tracking
         this.regionUsedSize = {
+            text: 0n,
             rodata: 0n,
             data: 0n,
             bss: 0n,
@@ -46,6 +108,14 @@ class ARM64Simulator {
             sp: initialSp,  // Initial stack pointer (16-byte aligned)
             pc: 0n
         };
+        
+        // SIMD/FP registers v0-v31 (128 bits each); Sn is the low 32 bits, Dn the low 64 bits
+        this.fpRegisters = {};
+        for (let i = 0; i < 32; i++) {
+            this.fpRegisters[`v${i}`] = 0n;
+        }
+        // Last arrangement each V register was written with (e.g. '4s'), so the UI can show its lanes
+        this.vectorArrangements = {};
 
         // Memory: byte-addressable, stores 64-bit values
         this.memory = new Map();
@@ -56,12 +126,27 @@ class ARM64Simulator {
         // Symbol table: label name -> {address, section, type}
         this.symbolTable = new Map();
         
+        // Library function name -> address of its stub slot after the code (the target of "bl printf")
+        this.libraryStubs = new Map();
+        
+        // Code placement: the ranges holding machine code (shown in the listing), and the end of the code
+        // area, in which only instruction addresses are valid branch targets (the Text region for assembled source)
+        this.codeSegments = []; // Array of {start, end} (end exclusive)
+        this.codeLimit = this.memoryLayout.text.end;
+        // Pages outside the code that the program stored to (or a file was imported into) since loading:
+        // code copied there, e.g. to the heap, may be branched to, while untouched data pages may not
+        this.writtenPages = new Set(); // page numbers (address >> 12)
+        // PT_LOAD segments of a loaded ELF file; their permissions override those of the region they are in
+        this.segments = []; // Array of {start, end, writable, executable, name} (end inclusive)
+        // The loaded source's parseProgram output, which exportELF writes out (null for an ELF file)
+        this.assembledProgram = null;
+        
         // Section location counters
         this.sectionCounters = {
             rodata: this.memoryLayout.rodata.start,
             data: this.memoryLayout.data.start,
             bss: this.memoryLayout.bss.start,
-            text: 0x00000000n  // Code starts at 0x00000000
+            text: this.memoryLayout.text.start  // Code starts at the bottom of the Text region
         };
         
         // Current section being processed
@@ -75,6 +160,13 @@ class ARM64Simulator {
             V: false   // oVerflow
         };
         
+        // Other system registers (fpcr, fpsr, tpidr_el0); NZCV and the counter are computed on access
+        this.systemRegisters = {
+            fpcr: 0n,
+            fpsr: 0n,
+            tpidr_el0: 0n
+        };
+        
         // Program instructions with addresses
         this.instructions = [];
         this.currentInstructionIndex = 0;
@@ -82,6 +174,15 @@ class ARM64Simulator {
         // Execution state
         this.isRunning = false;
         this.isPaused = false;
+        this.executedInstructionCount = 0; // Instructions retired since load/reset
+        this.exitStatus = null; // Exit status once the program has terminated (exit, return from main)
+        this.breakpoint = null; // {opcode, immediate, address} when the last step executed brk/hlt
+        if (this.syscalls) {
+            this.syscalls.reset();
+        }
+        if (this.decoder) {
+            this.decoder.reset();
+        }
         
         // Track changes for visualization
         this.changedRegisters = new Set();
@@ -120,14 +221,39 @@ class ARM64Simulator {
         this.sectionCounters = sectionCounters;
         
         // Second pass: parse instructions and directives
-        const { instructions, dataInitializations } = this.parser.parseProgram(lines, symbolTable);
+        const { instructions, dataInitializations, libraryStubs } = this.parser.parseProgram(lines, symbolTable);
+        this.libraryStubs = libraryStubs;
+        
+        // Assemble every instruction; operand combinations with no A64 encoding are rejected here
+        for (const instruction of instructions) {
+            try {
+                instruction.encoding = this.encoder.encode(instruction);
+            } catch (e) {
+                throw new Error(`Cannot encode "${instruction.original}": ${e.message}`);
+            }
+        }
         this.instructions = instructions;
+        this.executedInstructionCount = 0;
+        this.exitStatus = null;
+        this.breakpoint = null;
+        
+        // The machine code goes into the text region, where step() fetches it from
+        for (const instruction of instructions) {
+            dataInitializations.push({ address: instruction.address, value: BigInt(instruction.encoding), size: 4, section: 'text' });
+        }
+        // Each library stub slot holds a ret; reaching it runs the built-in function instead
+        for (const address of libraryStubs.values()) {
+            dataInitializations.push({ address: address, value: 0xD65F03C0n, size: 4, section: 'text' });
+        }
         
         // Initialize memory regions with data BEFORE execution
         this.initializeMemoryRegions(dataInitializations);
+        this.assembledProgram = { instructions, dataInitializations, libraryStubs };
+        this.codeSegments = [{ start: this.memoryLayout.text.start, end: this.memoryLayout.text.start + this.regionUsedSize.text }];
+        this.decoder.reset();
         
         // Find entry point: check for .global _start or .global main, then _start, then main, then first instruction
-        let entryPoint = 0x00000000n;
+        let entryPoint = this.memoryLayout.text.start;
         let entryLabel = null;
         
         // First, check for .global _start or .global main (priority order: _start, then main)
@@ -218,6 +344,205 @@ class ARM64Simulator {
             this.currentInstructionIndex = 0;
         }
         
+        this.setEntryPoint(entryPoint, entryLabel);
+        
+        // Force UI update to show initialized memory
+        if (window.simulatorUI) {
+            window.simulatorUI.updateDisplay();
+        }
+    }
+
+    loadELF(bytes, fileName = 'a.out') {
+        // Load a static AArch64 executable (e.g. from aarch64-linux-gnu-as/ld): PT_LOAD segments are
+        // copied into the memory map, .symtab becomes the symbol table and execution starts at e_entry
+        const elf = this.elf.parse(bytes);
+        this.reset();
+        
+        // Each segment must fit inside one region of the fixed memory map
+        for (const segment of elf.segments) {
+            const start = segment.vaddr;
+            const end = segment.vaddr + segment.memsz - 1n;
+            const region = this.getMemoryRegion(start);
+            if (!region || end > region.end) {
+                throw new Error(`ELF segment at 0x${start.toString(16)}-0x${end.toString(16)} does not fit in one region of the memory map (0x${this.memoryLayout.text.start.toString(16)}-0x${this.memoryLayout.stack.end.toString(16)})`);
+            }
+            // File bytes are copied; the rest of memsz (.bss) reads as zero
+            for (let i = 0; i < segment.data.length; i++) {
+                this.memory.set(Number(start) + i, segment.data[i]);
+            }
+            this.segments.push({
+                start: start,
+                end: end,
+                writable: (segment.flags & PF_W) !== 0,
+                executable: (segment.flags & PF_X) !== 0,
+                name: `LOAD ${this.elf.permissions(segment.flags)}`
+            });
+            this.markRegionUsed(region, end);
+        }
+        
+        for (const symbol of elf.symbols) {
+            if (!this.symbolTable.has(symbol.name)) {
+                this.symbolTable.set(symbol.name, { address: symbol.value, section: symbol.section, isGlobal: symbol.isGlobal });
+            }
+        }
+        this.decoder.reset();
+        
+        // The listing and the instruction list are the executable sections, disassembled
+        this.codeSegments = elf.code;
+        for (const range of this.codeSegments) {
+            for (const instruction of this.disassemble(range.start, Number(range.end - range.start) >> 2)) {
+                this.instructions.push(instruction);
+            }
+        }
+        const executable = this.segments.filter(segment => segment.executable);
+        if (executable.length > 0) {
+            this.codeLimit = executable[executable.length - 1].end;
+        }
+        
+        // Linux starts a static executable with argc, argv[], envp[] and the auxiliary vector on the stack
+        const argv0 = (this.registers.sp - BigInt(fileName.length + 1)) & ~0xFn;
+        for (let i = 0; i < fileName.length; i++) {
+            this.writeMemory(argv0 + BigInt(i), BigInt(fileName.charCodeAt(i) & 0xFF), 1);
+        }
+        this.writeMemory(argv0 + BigInt(fileName.length), 0n, 1);
+        const startupWords = [1n, argv0, 0n, 0n, 0n, 0n]; // argc, argv[0], argv end, envp end, AT_NULL
+        this.registers.sp = (argv0 - BigInt(startupWords.length * 8)) & ~0xFn;
+        startupWords.forEach((word, i) => this.writeMemory(this.registers.sp + BigInt(i * 8), word, 8));
+        
+        const entryLabel = this.decoder.labels.get(elf.entry) || null;
+        this.currentInstructionIndex = this.findInstructionIndexByAddress(elf.entry);
+        this.setEntryPoint(elf.entry, entryLabel);
+        
+        // Force UI update to show initialized memory
+        if (window.simulatorUI) {
+            window.simulatorUI.updateDisplay();
+        }
+        return elf;
+    }
+
+    exportELF(relocatable = false) {
+        // The loaded program as an ELF file: a static executable at the simulator's addresses,
+        // or a relocatable object (.o) to link with ld or gcc, e.g. on a Raspberry Pi
+        if (!this.assembledProgram) {
+            throw new Error('No assembled program to export: load assembly source first');
+        }
+        return this.elf.write({
+            ...this.assembledProgram,
+            symbolTable: this.symbolTable,
+            sectionCounters: this.sectionCounters,
+            entry: this.entryPointAddress
+        }, relocatable);
+    }
+
+    exportMemory(range, format = 'bin') {
+        // Dump memory as a raw binary (Uint8Array) or Intel HEX (string) file: range is 'image' for
+        // every populated byte, a region key ('data', 'heap', ...) or {start, length}.
+        // Returns {data, start}, start being the address of the first byte (a .bin does not record it)
+        const blocks = this.getMemoryBlocks(range);
+        if (blocks.length === 0) {
+            throw new Error(`Nothing to export: ${range === 'image' ? 'memory' : `the ${this.memoryLayout[range].name} region`} holds no data`);
+        }
+        return {
+            data: format === 'hex' ? this.image.toIntelHex(blocks) : this.image.toBinary(blocks),
+            start: blocks[0].address
+        };
+    }
+
+    getMemoryBlocks(range) {
+        // [{address, bytes}] in address order: an address range is one block, and a region or the
+        // whole image has a block per region from its first to its last populated byte
+        if (typeof range === 'object') {
+            const start = BigInt(range.start);
+            const length = Number(range.length);
+            if (!(length > 0) || !Number.isInteger(length)) {
+                throw new Error('The length of the range to export must be a whole number of bytes, at least 1');
+            }
+            if (length > MAX_BINARY_SIZE) {
+                throw new Error(`The range to export is limited to ${MAX_BINARY_SIZE / (1024 * 1024)}MB`);
+            }
+            const end = start + BigInt(length) - 1n;
+            if (start < this.memoryLayout.text.start || end > this.memoryLayout.stack.end) {
+                throw new Error(`Range 0x${start.toString(16)}-0x${end.toString(16)} is outside the memory map (0x${this.memoryLayout.text.start.toString(16)}-0x${this.memoryLayout.stack.end.toString(16)})`);
+            }
+            return [{ address: start, bytes: this.readBytes(start, length) }];
+        }
+        if (range !== 'image' && !this.memoryLayout[range]) {
+            throw new Error(`Unknown memory region: ${range}`);
+        }
+        
+        // Lowest and highest populated address of each region, in one pass over memory
+        const regions = Object.entries(this.memoryLayout)
+            .filter(([key]) => range === 'image' || key === range)
+            .map(([key, region]) => ({ key, start: Number(region.start), end: Number(region.end), low: Infinity, high: -Infinity }));
+        for (const address of this.memory.keys()) {
+            const region = regions.find(r => address >= r.start && address <= r.end);
+            if (region) {
+                region.low = Math.min(region.low, address);
+                region.high = Math.max(region.high, address);
+            }
+        }
+        return regions
+            .filter(region => region.high >= region.low)
+            .map(region => ({ address: BigInt(region.low), bytes: this.readBytes(BigInt(region.low), region.high - region.low + 1) }));
+    }
+
+    readBytes(start, length) {
+        // Raw memory contents, without the access checks (and warnings) of readMemory
+        const bytes = new Uint8Array(length);
+        const base = Number(start);
+        for (let i = 0; i < length; i++) {
+            bytes[i] = this.memory.get(base + i) || 0;
+        }
+        return bytes;
+    }
+
+    importMemory(bytes, address) {
+        // Copy a file's bytes into memory at address, e.g. a bitmap into the heap or a lookup table
+        // into rodata. Like the loader this may fill read-only regions, but the data must fit in one region
+        if (!(bytes instanceof Uint8Array)) {
+            bytes = new Uint8Array(bytes);
+        }
+        if (bytes.length === 0) {
+            throw new Error('Nothing to import: the file is empty');
+        }
+        const start = BigInt(address);
+        const end = start + BigInt(bytes.length) - 1n;
+        const region = this.getMemoryRegion(start);
+        if (!region || end > region.end) {
+            throw new Error(`${bytes.length} bytes at 0x${start.toString(16)}-0x${end.toString(16)} do not fit in one region of the memory map (0x${this.memoryLayout.text.start.toString(16)}-0x${this.memoryLayout.stack.end.toString(16)})`);
+        }
+        const base = Number(start);
+        for (let i = 0; i < bytes.length; i++) {
+            this.memory.set(base + i, bytes[i]);
+        }
+        this.markPagesWritten(start, end);
+        this.markRegionUsed(region, end);
+        return { start: start, end: end, region: region.name };
+    }
+
+    markPagesWritten(start, end) {
+        // Record the pages of [start, end] (inclusive) as holding data placed there after loading
+        for (let page = Number(start >> 12n); page <= Number(end >> 12n); page++) {
+            this.writtenPages.add(page);
+        }
+    }
+
+    markRegionUsed(region, end) {
+        // Grow the region's used size to cover data placed up to end (inclusive)
+        const usedSize = end + 1n - region.start;
+        if (usedSize > this.regionUsedSize[region.key]) {
+            this.regionUsedSize[region.key] = usedSize;
+        }
+        if (region.key === 'heap') {
+            // The program break starts after the data, as on Linux after an ELF image
+            const dataEnd = (end + 0x1000n) & ~0xFFFn;
+            if (dataEnd > this.heapPtr) {
+                this.heapPtr = dataEnd;
+            }
+        }
+    }
+
+    setEntryPoint(entryPoint, entryLabel) {
         // CRITICAL: Set PC to the entry point (address of first instruction to execute)
         // PC must point to the instruction that will be executed when step() is first called
         // This is the instruction at currentInstructionIndex
@@ -231,12 +556,12 @@ class ARM64Simulator {
         
         // Find the end of the entry function by looking for the next function label
         // A function label is one that's in the .text section and has an address after the entry point
-        let entryFunctionEndIndex = instructions.length; // Default: end of program
+        let entryFunctionEndIndex = this.instructions.length; // Default: end of program
         if (entryLabel) {
             const entryPointIndex = this.findInstructionIndexByAddress(entryPoint);
             
             // Look for the next function label (text section label) after the entry point
-            for (const [labelName, labelInfo] of symbolTable.entries()) {
+            for (const [labelName, labelInfo] of this.symbolTable.entries()) {
                 // Skip the entry label itself
                 if (labelName === entryLabel) continue;
                 
@@ -252,11 +577,6 @@ class ARM64Simulator {
             }
         }
         this.entryFunctionEndIndex = entryFunctionEndIndex;
-        
-        // Force UI update to show initialized memory
-        if (window.simulatorUI) {
-            window.simulatorUI.updateDisplay();
-        }
     }
 
     findInstructionIndexByAddress(address) {
@@ -271,13 +591,25 @@ class ARM64Simulator {
                 return i > 0 ? i - 1 : 0;
             }
         }
-        // If no instruction found, return 0 (first instruction)
-        return 0;
+        // Past the last instruction: execution has run off the end of the code
+        return this.instructions.length;
+    }
+
+    findExactInstructionIndex(address) {
+        // Find the instruction at exactly this address, or -1 if there is none
+        const addr = BigInt(address);
+        for (let i = 0; i < this.instructions.length; i++) {
+            if (this.instructions[i].address === addr) {
+                return i;
+            }
+        }
+        return -1;
     }
 
     initializeMemoryRegions(dataInitializations) {
         // Track used size for each region
         this.regionUsedSize = {
+            text: 0n,
             rodata: 0n,
             data: 0n,
             bss: 0n,
@@ -314,16 +646,26 @@ class ARM64Simulator {
         const parts = line.split(/\s+/).filter(p => p.length > 0);
         let opcode = parts[0].toLowerCase();
         
-        // Check for conditional branches (beq, bne, ble, etc.) - NO DOTS
-        // These are separate opcodes, not "b" with a condition
-        if (opcode.match(/^b(eq|ne|lt|le|gt|ge|lo|ls|hi|hs|mi|pl)$/)) {
-            // This is a conditional branch - keep as is
+        // Conditional branches are written b.eq (GNU/LLVM) or beq; both become the undotted opcode
+        if (/^b\.[a-z]+$/.test(opcode)) {
+            if (!this.isValidCondition(opcode.substring(2))) {
+                throw new Error(`Invalid ${opcode} instruction: unknown condition '${opcode.substring(2)}'`);
+            }
+            opcode = 'b' + opcode.substring(2);
         }
         
         const result = {
             opcode: opcode,
             line: line
         };
+        
+        // Advanced SIMD forms share mnemonics with scalar instructions (add v0.4s, ... vs add x0, ...)
+        const operandText = parts.slice(1).join(' ');
+        if (this.isVectorInstruction(opcode, operandText)) {
+            this.parseVectorInstruction(opcode, operandText, result);
+            this.validateRegister31(result);
+            return result;
+        }
 
         switch (opcode) {
             case 'mov':
@@ -331,8 +673,12 @@ class ARM64Simulator {
                 // mov x0, #-1
                 // mov x0, x1
                 if (parts.length >= 3) {
-                    result.dest = this.parseRegister(parts[1]);
-                    const src = parts.slice(2).join(' ');
+                    const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                    if (operands.length > 2) {
+                        throw new Error(`Invalid mov instruction: too many operands (expected mov Rd, Rm or mov Rd, #imm)`);
+                    }
+                    result.dest = this.parseRegister(operands[0]);
+                    const src = operands[1] || '';
                     if (src.startsWith('#')) {
                         result.immediate = this.parseImmediate(src.substring(1));
                     } else {
@@ -341,6 +687,40 @@ class ARM64Simulator {
                 }
                 break;
 
+            case 'movz':
+            case 'movk':
+            case 'movn': {
+                // movz x0, #0x1234, lsl #16  (x0 = 0x1234 << 16)
+                // movk x0, #0x5678           (replace bits [15:0], keep the rest)
+                // movn w0, #0                (w0 = ~0)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                if (operands.length < 2 || operands.length > 3 || !operands[1].startsWith('#')) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${opcode} Rd, #imm16{, lsl #shift}`);
+                }
+                result.dest = this.parseRegister(operands[0]);
+                if (!result.dest || typeof result.dest === 'string') {
+                    throw new Error(`Invalid ${opcode} instruction: destination must be an X or W register`);
+                }
+                result.immediate = this.parseImmediate(operands[1].substring(1));
+                if (result.immediate < 0n || result.immediate > 0xFFFFn) {
+                    throw new Error(`Invalid ${opcode} immediate ${result.immediate}: must be in range 0-65535`);
+                }
+                
+                result.shiftAmount = 0;
+                if (operands.length === 3) {
+                    const shiftMatch = operands[2].match(/^lsl\s*#(\d+)$/i);
+                    if (!shiftMatch) {
+                        throw new Error(`Invalid ${opcode} shift: ${operands[2]}`);
+                    }
+                    result.shiftAmount = parseInt(shiftMatch[1]);
+                }
+                const validShifts = result.dest.type === 'w' ? [0, 16] : [0, 16, 32, 48];
+                if (!validShifts.includes(result.shiftAmount)) {
+                    throw new Error(`Invalid ${opcode} shift ${result.shiftAmount}: must be one of ${validShifts.join(', ')}`);
+                }
+                break;
+            }
+
             case 'add':
             case 'adds':
             case 'sub':
@@ -377,12 +757,263 @@ class ARM64Simulator {
                         if (!isNaN(numValue)) {
                             result.immediate = BigInt(numValue);
                         } else {
-                            result.src2 = this.parseRegister(src2);
+                            // Register, optionally shifted or extended: x2, lsl #3 / w2, sxtw #2
+                            this.parseShiftedOrExtendedRegister(src2, result, opcode);
                         }
                     }
                 }
                 break;
 
+            case 'ccmp':
+            case 'ccmn': {
+                // ccmp x0, x1, #0, ne   (flags = ne ? cmp(x0, x1) : #0)
+                // ccmn w0, #5, #4, gt   (flags = gt ? cmn(w0, #5) : #4)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                if (operands.length !== 4) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${opcode} Rn, Rm|#imm, #nzcv, cond`);
+                }
+                result.src1 = this.parseRegister(operands[0]);
+                if (operands[1].startsWith('#')) {
+                    result.immediate = this.parseImmediate(operands[1].substring(1));
+                    if (result.immediate < 0n || result.immediate > 31n) {
+                        throw new Error(`Invalid ${opcode} immediate ${result.immediate}: must be in range 0-31`);
+                    }
+                } else {
+                    result.src2 = this.parseRegister(operands[1]);
+                }
+                if (!operands[2].startsWith('#')) {
+                    throw new Error(`Invalid ${opcode} instruction: nzcv must be an immediate`);
+                }
+                result.nzcv = Number(this.parseImmediate(operands[2].substring(1)));
+                if (result.nzcv < 0 || result.nzcv > 15) {
+                    throw new Error(`Invalid ${opcode} nzcv value ${result.nzcv}: must be in range 0-15`);
+                }
+                result.condition = operands[3].toLowerCase();
+                if (!this.isValidCondition(result.condition)) {
+                    throw new Error(`Invalid ${opcode} instruction: unknown condition '${operands[3]}'`);
+                }
+                break;
+            }
+
+            case 'tst': {
+                // tst x0, #0xFF         (ands xzr, x0, #0xFF)
+                // tst x0, x1
+                // tst x0, x1, lsl #3
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                if (operands.length < 2) {
+                    throw new Error(`Invalid tst instruction: missing operands`);
+                }
+                if (operands.length > 3) {
+                    throw new Error(`Invalid tst instruction: too many operands`);
+                }
+                result.src1 = this.parseRegister(operands[0]);
+                if (operands[1].startsWith('#')) {
+                    if (operands.length > 2) {
+                        throw new Error(`Invalid tst instruction: an immediate operand cannot be shifted`);
+                    }
+                    result.immediate = this.parseImmediate(operands[1].substring(1));
+                } else {
+                    result.src2 = this.parseRegister(operands[1]);
+                    if (operands.length > 2) {
+                        this.parseLogicalShift(operands[2], result, 'tst');
+                    }
+                }
+                break;
+            }
+
+            case 'adc':
+            case 'adcs':
+            case 'sbc':
+            case 'sbcs':
+            case 'ngc':
+            case 'ngcs':
+            case 'neg':
+            case 'negs':
+            case 'clz':
+            case 'cls':
+            case 'rbit':
+            case 'rev':
+            case 'rev16':
+            case 'rev32': {
+                // adc x0, x1, x2   (x0 = x1 + x2 + C)
+                // sbc x0, x1, x2   (x0 = x1 - x2 - !C)
+                // ngc x0, x1       (x0 = 0 - x1 - !C)
+                // neg x0, x1       (x0 = 0 - x1)
+                // clz x0, x1       (count leading zeros)
+                // rev w0, w1       (reverse byte order)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                const threeOperand = ['adc', 'adcs', 'sbc', 'sbcs'].includes(opcode);
+                if ((opcode === 'neg' || opcode === 'negs') && operands.length === 3) {
+                    // neg x0, x1, lsl #2 (sub x0, xzr, x1, lsl #2)
+                    result.dest = this.parseRegister(operands[0]);
+                    this.parseShiftedOrExtendedRegister(`${operands[1]} ${operands[2]}`, result, opcode);
+                    if (result.extendType) {
+                        throw new Error(`Invalid ${opcode} instruction: only lsl, lsr and asr shifts are allowed`);
+                    }
+                    if (!result.dest || typeof result.dest === 'string' || result.src2.type !== result.dest.type) {
+                        throw new Error(`Invalid ${opcode} instruction: registers must all be X or all be W registers`);
+                    }
+                    break;
+                }
+                if (operands.length !== (threeOperand ? 3 : 2)) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${threeOperand ? 3 : 2} register operands`);
+                }
+                result.dest = this.parseRegister(operands[0]);
+                if (threeOperand) {
+                    result.src1 = this.parseRegister(operands[1]);
+                    result.src2 = this.parseRegister(operands[2]);
+                } else if (['ngc', 'ngcs', 'neg', 'negs'].includes(opcode)) {
+                    // Negations read their operand as the second source (first source is zero)
+                    result.src2 = this.parseRegister(operands[1]);
+                } else {
+                    result.src1 = this.parseRegister(operands[1]);
+                }
+                
+                const regs = [result.dest, result.src1, result.src2].filter(r => r !== undefined);
+                if (regs.some(r => !r || typeof r === 'string' || r.type !== result.dest.type)) {
+                    throw new Error(`Invalid ${opcode} instruction: registers must all be X or all be W registers`);
+                }
+                if (opcode === 'rev32' && result.dest.type !== 'x') {
+                    throw new Error(`Invalid rev32 instruction: only X registers are allowed`);
+                }
+                break;
+            }
+
+            case 'fadd':
+            case 'fsub':
+            case 'fmul':
+            case 'fdiv':
+            case 'fsqrt':
+            case 'fabs':
+            case 'fneg':
+            case 'fcsel': {
+                // fadd d0, d1, d2
+                // fsqrt s0, s1
+                // fcsel d0, d1, d2, gt
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                const unary = ['fsqrt', 'fabs', 'fneg'].includes(opcode);
+                const expected = unary ? 2 : (opcode === 'fcsel' ? 4 : 3);
+                if (operands.length !== expected) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${expected} operands`);
+                }
+                result.dest = this.parseFPRegister(operands[0]);
+                result.src1 = this.parseFPRegister(operands[1]);
+                if (!unary) {
+                    result.src2 = this.parseFPRegister(operands[2]);
+                }
+                const regs = unary ? [result.dest, result.src1] : [result.dest, result.src1, result.src2];
+                if (regs.some(r => !r || r.type !== regs[0].type)) {
+                    throw new Error(`Invalid ${opcode} instruction: registers must all be S or all be D registers`);
+                }
+                if (opcode === 'fcsel') {
+                    result.condition = operands[3].toLowerCase();
+                    if (!this.isValidCondition(result.condition)) {
+                        throw new Error(`Invalid fcsel instruction: unknown condition '${operands[3]}'`);
+                    }
+                }
+                break;
+            }
+
+            case 'fmov': {
+                // fmov d0, d1       (copy)
+                // fmov d0, x1       (move raw bits between general and FP registers)
+                // fmov w0, s1
+                // fmov d0, #1.5     (8-bit encodable floating-point immediate)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                if (operands.length !== 2) {
+                    throw new Error(`Invalid fmov instruction: expected 2 operands`);
+                }
+                result.dest = this.parseFPRegister(operands[0]) || this.parseRegister(operands[0]);
+                if (!result.dest || typeof result.dest === 'string') {
+                    throw new Error(`Invalid fmov instruction: bad destination '${operands[0]}'`);
+                }
+                if (operands[1].startsWith('#')) {
+                    if (result.dest.type !== 's' && result.dest.type !== 'd') {
+                        throw new Error(`Invalid fmov instruction: immediate destination must be an S or D register`);
+                    }
+                    const value = parseFloat(operands[1].substring(1));
+                    if (isNaN(value) || !this.isFPImmediateEncodable(value)) {
+                        throw new Error(`Invalid fmov immediate ${operands[1]}: must be ±n/16 × 2^r with n in 16-31 and r in -3..4 (or 0.0)`);
+                    }
+                    result.fpImmediate = value;
+                    break;
+                }
+                result.src1 = this.parseFPRegister(operands[1]) || this.parseRegister(operands[1]);
+                if (!result.src1 || typeof result.src1 === 'string') {
+                    throw new Error(`Invalid fmov instruction: bad source '${operands[1]}'`);
+                }
+                // Sizes must match: s<->s/w, d<->d/x
+                const width = reg => (reg.type === 's' || reg.type === 'w') ? 32 : 64;
+                const isFP = reg => reg.type === 's' || reg.type === 'd';
+                if (width(result.dest) !== width(result.src1) || (!isFP(result.dest) && !isFP(result.src1))) {
+                    throw new Error(`Invalid fmov instruction: cannot move ${operands[1]} to ${operands[0]}`);
+                }
+                break;
+            }
+
+            case 'fcmp': {
+                // fcmp d0, d1
+                // fcmp s0, #0.0
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                if (operands.length !== 2) {
+                    throw new Error(`Invalid fcmp instruction: expected 2 operands`);
+                }
+                result.src1 = this.parseFPRegister(operands[0]);
+                if (!result.src1) {
+                    throw new Error(`Invalid fcmp instruction: '${operands[0]}' is not an S or D register`);
+                }
+                if (operands[1].startsWith('#')) {
+                    if (parseFloat(operands[1].substring(1)) !== 0) {
+                        throw new Error(`Invalid fcmp instruction: the only immediate allowed is #0.0`);
+                    }
+                    result.fpImmediate = 0;
+                } else {
+                    result.src2 = this.parseFPRegister(operands[1]);
+                    if (!result.src2 || result.src2.type !== result.src1.type) {
+                        throw new Error(`Invalid fcmp instruction: registers must both be S or both be D registers`);
+                    }
+                }
+                break;
+            }
+
+            case 'fcvt':
+            case 'fcvtzs':
+            case 'fcvtzu':
+            case 'scvtf':
+            case 'ucvtf': {
+                // fcvt d0, s1       (single <-> double)
+                // fcvtzs x0, d1     (FP -> signed integer, round toward zero)
+                // scvtf d0, x1      (signed integer -> FP)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                if (operands.length !== 2) {
+                    throw new Error(`Invalid ${opcode} instruction: expected 2 operands`);
+                }
+                const intReg = str => {
+                    const reg = this.parseRegister(str);
+                    return reg && typeof reg !== 'string' ? reg : null;
+                };
+                if (opcode === 'fcvt') {
+                    result.dest = this.parseFPRegister(operands[0]);
+                    result.src1 = this.parseFPRegister(operands[1]);
+                    if (!result.dest || !result.src1 || result.dest.type === result.src1.type) {
+                        throw new Error(`Invalid fcvt instruction: converts between an S and a D register`);
+                    }
+                } else if (opcode.startsWith('fcvtz')) {
+                    result.dest = intReg(operands[0]);
+                    result.src1 = this.parseFPRegister(operands[1]);
+                    if (!result.dest || !result.src1) {
+                        throw new Error(`Invalid ${opcode} instruction: expected ${opcode} Wd|Xd, Sn|Dn`);
+                    }
+                } else {
+                    result.dest = this.parseFPRegister(operands[0]);
+                    result.src1 = intReg(operands[1]);
+                    if (!result.dest || !result.src1) {
+                        throw new Error(`Invalid ${opcode} instruction: expected ${opcode} Sd|Dd, Wn|Xn`);
+                    }
+                }
+                break;
+            }
+
             case 'cmp':
             case 'cmn':
                 // cmp x0, x1 or cmp x0, #5
@@ -396,14 +1027,99 @@ class ARM64Simulator {
                         // Immediate: cmp xN, #imm or cmn xN, #imm
                         result.immediate = this.parseImmediate(src2.substring(1));
                     } else {
-                        // Register: cmp xN, xM or cmn xN, xM
-                        result.src2 = this.parseRegister(src2);
+                        // Register: cmp xN, xM or cmn xN, xM (optionally shifted or extended)
+                        this.parseShiftedOrExtendedRegister(src2, result, opcode);
                     }
                 } else {
                     throw new Error(`Invalid ${opcode} instruction: missing operands`);
                 }
                 break;
 
+            case 'mul':
+            case 'mneg':
+            case 'smulh':
+            case 'umulh':
+            case 'smull':
+            case 'umull':
+            case 'sdiv':
+            case 'udiv':
+            case 'madd':
+            case 'msub': {
+                // mul x0, x1, x2
+                // madd x0, x1, x2, x3   (x0 = x3 + x1 * x2)
+                // msub x0, x1, x2, x3   (x0 = x3 - x1 * x2)
+                // smull x0, w1, w2      (64-bit product of two 32-bit values)
+                // sdiv w0, w1, w2
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                const expected = (opcode === 'madd' || opcode === 'msub') ? 4 : 3;
+                if (operands.length !== expected) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${expected} register operands`);
+                }
+                result.dest = this.parseRegister(operands[0]);
+                result.src1 = this.parseRegister(operands[1]);
+                result.src2 = this.parseRegister(operands[2]);
+                if (expected === 4) {
+                    result.src3 = this.parseRegister(operands[3]);
+                }
+                
+                const regs = [result.dest, result.src1, result.src2, result.src3].filter(r => r !== undefined);
+                if (regs.some(r => !r || typeof r === 'string')) {
+                    throw new Error(`Invalid ${opcode} instruction: operands must be general-purpose registers`);
+                }
+                if (opcode === 'smull' || opcode === 'umull') {
+                    if (result.dest.type !== 'x' || result.src1.type !== 'w' || result.src2.type !== 'w') {
+                        throw new Error(`Invalid ${opcode} instruction: expected ${opcode} xD, wN, wM`);
+                    }
+                } else if (regs.some(r => r.type !== result.dest.type)) {
+                    throw new Error(`Invalid ${opcode} instruction: all registers must be the same width`);
+                } else if ((opcode === 'smulh' || opcode === 'umulh') && result.dest.type !== 'x') {
+                    throw new Error(`Invalid ${opcode} instruction: only X registers are allowed`);
+                }
+                break;
+            }
+
+            case 'csel':
+            case 'csinc':
+            case 'csinv':
+            case 'csneg':
+            case 'cset':
+            case 'csetm':
+            case 'cinc':
+            case 'cinv':
+            case 'cneg': {
+                // csel x0, x1, x2, lt   (x0 = lt ? x1 : x2)
+                // csinc x0, x1, x2, eq  (x0 = eq ? x1 : x2 + 1)
+                // cset w0, eq           (w0 = eq ? 1 : 0)
+                // cneg x0, x1, mi       (x0 = mi ? -x1 : x1)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                const regCount = ['cset', 'csetm'].includes(opcode) ? 1 : ['cinc', 'cinv', 'cneg'].includes(opcode) ? 2 : 3;
+                if (operands.length !== regCount + 1) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${regCount} registers and a condition`);
+                }
+                
+                result.dest = this.parseRegister(operands[0]);
+                if (regCount >= 2) {
+                    result.src1 = this.parseRegister(operands[1]);
+                }
+                if (regCount === 3) {
+                    result.src2 = this.parseRegister(operands[2]);
+                }
+                result.condition = operands[regCount].toLowerCase();
+                
+                if (!this.isValidCondition(result.condition)) {
+                    throw new Error(`Invalid ${opcode} instruction: unknown condition '${operands[regCount]}'`);
+                }
+                if (regCount < 3 && (result.condition === 'al' || result.condition === 'nv')) {
+                    // The aliases invert the condition, and al/nv have no inverse
+                    throw new Error(`Invalid ${opcode} instruction: condition cannot be al or nv`);
+                }
+                const regs = [result.dest, result.src1, result.src2].filter(r => r !== undefined);
+                if (regs.some(r => !r || typeof r === 'string' || r.type !== result.dest.type)) {
+                    throw new Error(`Invalid ${opcode} instruction: registers must all be X or all be W registers`);
+                }
+                break;
+            }
+
             case 'and':
             case 'ands':
             case 'orr':
@@ -412,31 +1128,133 @@ class ARM64Simulator {
                 // Logical operations: and x0, x1, x2
                 // and x0, x1, #0xFF
                 // and x0, x1, x2, lsl #3
+                // eor x0, x1, x2, ror #8
                 if (parts.length >= 4) {
-                    const destStr = parts[1].replace(/,/g, '').trim();
-                    const src1Str = parts[2].replace(/,/g, '').trim();
-                    result.dest = this.parseRegister(destStr);
-                    result.src1 = this.parseRegister(src1Str);
-                    
-                    // Get the second operand (immediate, register, or shifted register)
-                    const src2Part = parts.slice(3).join(' ').replace(/,/g, '').trim();
+                    const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                    if (operands.length > 4) {
+                        throw new Error(`Invalid ${opcode} instruction: too many operands`);
+                    }
+                    result.dest = this.parseRegister(operands[0]);
+                    result.src1 = this.parseRegister(operands[1] || '');
                     
-                    // Check for shifted register: "x2, lsl #3" or "x2, lsr #2" or "x2, asr #1"
-                    const shiftedMatch = src2Part.match(/^(\w+)\s*,\s*(lsl|lsr|asr)\s*#(\d+)$/i);
-                    if (shiftedMatch) {
-                        result.src2 = this.parseRegister(shiftedMatch[1]);
-                        result.shiftType = shiftedMatch[2].toLowerCase();
-                        result.shiftAmount = parseInt(shiftedMatch[3]);
-                    } else if (src2Part.startsWith('#')) {
+                    if (operands[2] && operands[2].startsWith('#')) {
                         // Immediate: and x0, x1, #0xFF
-                        result.immediate = this.parseImmediate(src2Part.substring(1));
+                        if (operands.length > 3) {
+                            throw new Error(`Invalid ${opcode} instruction: an immediate operand cannot be shifted`);
+                        }
+                        result.immediate = this.parseImmediate(operands[2].substring(1));
                     } else {
-                        // Register: and x0, x1, x2
-                        result.src2 = this.parseRegister(src2Part);
+                        // Register, optionally shifted: and x0, x1, x2 / and x0, x1, x2, lsl #3
+                        result.src2 = this.parseRegister(operands[2] || '');
+                        if (operands.length === 4) {
+                            this.parseLogicalShift(operands[3], result, opcode);
+                        }
                     }
                 }
                 break;
 
+            case 'ubfm':
+            case 'sbfm':
+            case 'bfm':
+            case 'ubfx':
+            case 'sbfx':
+            case 'bfxil':
+            case 'ubfiz':
+            case 'sbfiz':
+            case 'bfi':
+            case 'sxtb':
+            case 'sxth':
+            case 'sxtw':
+            case 'uxtb':
+            case 'uxth': {
+                // ubfm x0, x1, #immr, #imms  (raw bitfield move)
+                // ubfx x0, x1, #lsb, #width  (extract field to bit 0)
+                // bfi x0, x1, #lsb, #width   (insert low bits of x1 at lsb)
+                // sxtb x0, w1                (sign-extend byte)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                const isExtend = /^[su]xt[bhw]$/.test(opcode);
+                if (operands.length !== (isExtend ? 2 : 4)) {
+                    throw new Error(`Invalid ${opcode} instruction: wrong number of operands`);
+                }
+                result.dest = this.parseRegister(operands[0]);
+                result.src1 = this.parseRegister(operands[1]);
+                if (!result.dest || !result.src1 || typeof result.dest === 'string' || typeof result.src1 === 'string') {
+                    throw new Error(`Invalid ${opcode} instruction: operands must be general-purpose registers`);
+                }
+                const size = result.dest.type === 'w' ? 32 : 64;
+                
+                if (isExtend) {
+                    // sxt*/uxt* take a W source; sxtw needs an X destination, uxtb/uxth a W destination
+                    if (result.src1.type !== 'w' ||
+                        (opcode === 'sxtw' && result.dest.type !== 'x') ||
+                        (opcode.startsWith('uxt') && result.dest.type !== 'w')) {
+                        throw new Error(`Invalid ${opcode} instruction: unsupported register widths`);
+                    }
+                    const fieldBits = { b: 8, h: 16, w: 32 }[opcode[3]];
+                    result.bitfieldOp = opcode.startsWith('s') ? 'sbfm' : 'ubfm';
+                    result.immr = 0;
+                    result.imms = fieldBits - 1;
+                    break;
+                }
+                
+                if (result.src1.type !== result.dest.type) {
+                    throw new Error(`Invalid ${opcode} instruction: registers must be the same width`);
+                }
+                if (!operands[2].startsWith('#') || !operands[3].startsWith('#')) {
+                    throw new Error(`Invalid ${opcode} instruction: expected immediate operands`);
+                }
+                const imm1 = Number(this.parseImmediate(operands[2].substring(1)));
+                const imm2 = Number(this.parseImmediate(operands[3].substring(1)));
+                
+                if (opcode === 'ubfm' || opcode === 'sbfm' || opcode === 'bfm') {
+                    if (imm1 < 0 || imm1 >= size || imm2 < 0 || imm2 >= size) {
+                        throw new Error(`Invalid ${opcode} immediates: immr and imms must be in range 0-${size - 1}`);
+                    }
+                    result.bitfieldOp = opcode;
+                    result.immr = imm1;
+                    result.imms = imm2;
+                    break;
+                }
+                
+                // lsb/width aliases
+                const lsb = imm1;
+                const width = imm2;
+                if (lsb < 0 || lsb >= size || width < 1 || width > size - lsb) {
+                    throw new Error(`Invalid ${opcode} bitfield: lsb must be 0-${size - 1} and width 1-${size}-lsb`);
+                }
+                result.bitfieldOp = opcode.startsWith('s') ? 'sbfm' : opcode.startsWith('u') ? 'ubfm' : 'bfm';
+                if (opcode === 'ubfx' || opcode === 'sbfx' || opcode === 'bfxil') {
+                    result.immr = lsb;
+                    result.imms = lsb + width - 1;
+                } else {
+                    // ubfiz/sbfiz/bfi
+                    result.immr = (size - lsb) % size;
+                    result.imms = width - 1;
+                }
+                break;
+            }
+
+            case 'extr': {
+                // extr x0, x1, x2, #lsb  (x0 = low bits of (x1:x2) >> lsb)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                if (operands.length !== 4 || !operands[3].startsWith('#')) {
+                    throw new Error(`Invalid extr instruction: expected extr Rd, Rn, Rm, #lsb`);
+                }
+                result.dest = this.parseRegister(operands[0]);
+                result.src1 = this.parseRegister(operands[1]);
+                result.src2 = this.parseRegister(operands[2]);
+                const regs = [result.dest, result.src1, result.src2];
+                if (regs.some(r => !r || typeof r === 'string' || r.type !== result.dest.type)) {
+                    throw new Error(`Invalid extr instruction: registers must all be X or all be W registers`);
+                }
+                const size = result.dest.type === 'w' ? 32 : 64;
+                result.immediate = this.parseImmediate(operands[3].substring(1));
+                if (result.immediate < 0n || result.immediate >= BigInt(size)) {
+                    throw new Error(`Invalid extr lsb ${result.immediate}: must be in range 0-${size - 1}`);
+                }
+                break;
+            }
+
             case 'lsl':
             case 'lsr':
             case 'asr':
@@ -452,9 +1270,13 @@ class ARM64Simulator {
                     result.dest = this.parseRegister(destStr);
                     result.src1 = this.parseRegister(src1Str);
                     
-                    // For mvn, there's no second operand
+                    // For mvn, there's no second operand, only an optional shift of the source
                     if (opcode === 'mvn') {
-                        // mvn x0, x1 (bitwise NOT)
+                        // mvn x0, x1 (bitwise NOT), mvn x0, x1, lsl #4
+                        const shiftText = parts.slice(3).join(' ').trim();
+                        if (shiftText) {
+                            this.parseLogicalShift(shiftText, result, opcode);
+                        }
                         break;
                     }
                     
@@ -474,6 +1296,24 @@ class ARM64Simulator {
                                 result.src2 = this.parseRegister(shiftPart);
                             }
                         }
+                        
+                        // Immediate lsl/lsr/asr are aliases of ubfm/sbfm
+                        if (result.immediate !== undefined && opcode !== 'ror' && result.dest && typeof result.dest !== 'string') {
+                            const size = result.dest.type === 'w' ? 32 : 64;
+                            const amount = Number(result.immediate);
+                            if (amount < 0 || amount >= size) {
+                                throw new Error(`Invalid ${opcode} shift amount ${amount}: must be in range 0-${size - 1}`);
+                            }
+                            if (opcode === 'lsl') {
+                                result.bitfieldOp = 'ubfm';
+                                result.immr = (size - amount) % size;
+                                result.imms = size - 1 - amount;
+                            } else {
+                                result.bitfieldOp = opcode === 'lsr' ? 'ubfm' : 'sbfm';
+                                result.immr = amount;
+                                result.imms = size - 1;
+                            }
+                        }
                     }
                 }
                 break;
@@ -501,104 +1341,216 @@ class ARM64Simulator {
                 }
                 break;
 
+            case 'tbz':
+            case 'tbnz': {
+                // tbz x0, #3, label   (branch if bit 3 of x0 is zero)
+                // tbnz w1, #31, label (branch if bit 31 of w1 is set)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                if (operands.length !== 3 || !operands[1].startsWith('#')) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${opcode} Rt, #bit, label`);
+                }
+                result.src = this.parseRegister(operands[0]);
+                result.bit = Number(this.parseImmediate(operands[1].substring(1)));
+                const maxBit = (result.src && result.src.type === 'w') ? 31 : 63;
+                if (result.bit < 0 || result.bit > maxBit) {
+                    throw new Error(`Invalid ${opcode} bit number ${result.bit}: must be in range 0-${maxBit}`);
+                }
+                result.label = operands[2];
+                break;
+            }
+
             case 'str':
+            case 'strb':
+            case 'strh':
                 // str x0, [sp, #8]
                 // str x0, [x1, x2] - register offset
                 // str x0, [x1, x2, lsl #3] - scaled offset
+                // strb w0, [x1, #3] - store low byte
+                // strh w0, [x1, x2, lsl #1] - store low halfword
                 if (parts.length >= 3) {
-                    result.src = this.parseRegister(parts[1]);
-                    const memOp = parts.slice(2).join(' ');
-                    const memMatch = memOp.match(/\[([^\]]+)\]/);
-                    if (memMatch) {
-                        const memParts = memMatch[1].split(',');
-                        result.base = this.parseRegister(memParts[0].trim());
-                        
-                        if (memParts.length > 1) {
-                            const offsetPart = memParts[1].trim();
-                            
-                            // Check for scaled offset: x2, lsl #3
-                            const scaledMatch = offsetPart.match(/(\w+)\s*,\s*lsl\s*#(\d+)/i);
-                            if (scaledMatch) {
-                                result.offsetReg = this.parseRegister(scaledMatch[1]);
-                                result.shift = parseInt(scaledMatch[2]);
-                                result.offsetType = 'scaled';
-                            } else if (offsetPart.startsWith('#')) {
-                                // Immediate offset
-                                result.offset = BigInt(offsetPart.substring(1));
-                                result.offsetType = 'immediate';
-                            } else {
-                                // Try register offset
-                                const regOffset = this.parseRegister(offsetPart);
-                                if (regOffset) {
-                                    result.offsetReg = regOffset;
-                                    result.offsetType = 'register';
-                                } else {
-                                    // Try as immediate without #
-                                    const numValue = parseInt(offsetPart);
-                                    if (!isNaN(numValue)) {
-                                        result.offset = BigInt(numValue);
-                                        result.offsetType = 'immediate';
-                                    }
-                                }
-                            }
-                        } else {
-                            result.offset = 0n;
-                            result.offsetType = 'immediate';
-                        }
-                    }
+                    // Plain str also stores s/d registers (4/8 bytes)
+                    result.src = this.parseRegister(parts[1]) || (opcode === 'str' ? this.parseFPRegister(parts[1]) : null);
+                    this.parseMemoryOperand(parts.slice(2).join(' '), result);
+                    this.checkWritebackBase(opcode, [result.src], result);
                 }
                 break;
 
             case 'ldr':
+            case 'ldrb':
+            case 'ldrh':
+            case 'ldrsb':
+            case 'ldrsh':
+            case 'ldrsw':
                 // ldr x1, [sp, #8]
                 // ldr x1, [x0, x2] - register offset
                 // ldr x1, [x0, x2, lsl #3] - scaled offset
+                // ldrb w1, [x0, #1] - zero-extended byte
+                // ldrsh x1, [x0, #2] - sign-extended halfword
+                // ldr x0, =0xDEADBEEF - literal pool pseudo-instruction
+                // ldr x0, =message     - address of a label, via the literal pool
+                // ldr x0, value        - PC-relative literal load from a label
                 if (parts.length >= 3) {
-                    result.dest = this.parseRegister(parts[1]);
-                    const memOp = parts.slice(2).join(' ');
-                    const memMatch = memOp.match(/\[([^\]]+)\]/);
-                    if (memMatch) {
-                        const memParts = memMatch[1].split(',');
-                        result.base = this.parseRegister(memParts[0].trim());
-                        
-                        if (memParts.length > 1) {
-                            const offsetPart = memParts[1].trim();
-                            
-                            // Check for scaled offset: x2, lsl #3
-                            const scaledMatch = offsetPart.match(/(\w+)\s*,\s*lsl\s*#(\d+)/i);
-                            if (scaledMatch) {
-                                result.offsetReg = this.parseRegister(scaledMatch[1]);
-                                result.shift = parseInt(scaledMatch[2]);
-                                result.offsetType = 'scaled';
-                            } else if (offsetPart.startsWith('#')) {
-                                // Immediate offset
-                                result.offset = BigInt(offsetPart.substring(1));
-                                result.offsetType = 'immediate';
-                            } else {
-                                // Try register offset
-                                const regOffset = this.parseRegister(offsetPart);
-                                if (regOffset) {
-                                    result.offsetReg = regOffset;
-                                    result.offsetType = 'register';
-                                } else {
-                                    // Try as immediate without #
-                                    const numValue = parseInt(offsetPart);
-                                    if (!isNaN(numValue)) {
-                                        result.offset = BigInt(numValue);
-                                        result.offsetType = 'immediate';
-                                    }
-                                }
-                            }
-                        } else {
-                            result.offset = 0n;
-                            result.offsetType = 'immediate';
+                    // Plain ldr also loads s/d registers (4/8 bytes)
+                    result.dest = this.parseRegister(parts[1]) || (opcode === 'ldr' ? this.parseFPRegister(parts[1]) : null);
+                    if (opcode === 'ldrsw' && result.dest && result.dest.type !== 'x') {
+                        throw new Error(`Invalid ldrsw instruction: destination must be an X register`);
+                    }
+                    if ((opcode === 'ldrb' || opcode === 'ldrh') && result.dest && result.dest.type !== 'w') {
+                        throw new Error(`Invalid ${opcode} instruction: destination must be a W register`);
+                    }
+                    
+                    const operand = parts.slice(2).join(' ').trim();
+                    if (operand.startsWith('=')) {
+                        if (opcode !== 'ldr' || !result.dest || typeof result.dest === 'string' || !['x', 'w'].includes(result.dest.type)) {
+                            throw new Error(`Invalid ${opcode} instruction: literal pool loads need ldr with an X or W register`);
                         }
+                        result.literal = operand.substring(1).trim();
+                    } else if (!operand.startsWith('[')) {
+                        if (opcode !== 'ldr' && opcode !== 'ldrsw') {
+                            throw new Error(`Invalid ${opcode} instruction: literal loads are only available for ldr and ldrsw`);
+                        }
+                        result.label = operand;
+                    } else {
+                        this.parseMemoryOperand(operand, result);
+                        this.checkWritebackBase(opcode, [result.dest], result);
                     }
                 }
                 break;
 
+            case 'stp':
+            case 'ldp':
+            case 'ldpsw':
+                // stp x29, x30, [sp, #-16]! - pre-index
+                // ldp x29, x30, [sp], #16   - post-index
+                // ldp w0, w1, [x2, #8]      - signed offset
+                // ldpsw x0, x1, [x2]        - sign-extended pair of words
+                if (parts.length >= 4) {
+                    const reg1 = this.parseRegister(parts[1]);
+                    const reg2 = this.parseRegister(parts[2]);
+                    if (!reg1 || !reg2 || typeof reg1 === 'string' || typeof reg2 === 'string' || reg1.type !== reg2.type) {
+                        throw new Error(`Invalid ${opcode} instruction: both registers must be X registers or both W registers`);
+                    }
+                    if (opcode === 'ldpsw' && reg1.type !== 'x') {
+                        throw new Error(`Invalid ldpsw instruction: destinations must be X registers`);
+                    }
+                    if (opcode === 'stp') {
+                        result.src = reg1;
+                        result.src2 = reg2;
+                    } else {
+                        // Loading both halves into one register is CONSTRAINED UNPREDICTABLE
+                        if (reg1.num === reg2.num) {
+                            throw new Error(`Invalid ${opcode} instruction: both destinations are ${reg1.name}, which is unpredictable`);
+                        }
+                        result.dest = reg1;
+                        result.dest2 = reg2;
+                    }
+                    
+                    this.parseMemoryOperand(parts.slice(3).join(' '), result);
+                    this.checkWritebackBase(opcode, [reg1, reg2], result);
+                    if (result.offsetType !== 'immediate') {
+                        throw new Error(`Invalid ${opcode} instruction: only immediate offsets are allowed`);
+                    }
+                    
+                    // Offset is a signed 7-bit immediate scaled by the register size
+                    const scale = BigInt(this.getLoadStoreSize(opcode, reg1));
+                    const offset = result.offset || 0n;
+                    if (offset % scale !== 0n || offset < -64n * scale || offset > 63n * scale) {
+                        throw new Error(`Invalid ${opcode} offset ${offset}: must be a multiple of ${scale} in range [${-64n * scale}, ${63n * scale}]`);
+                    }
+                } else {
+                    throw new Error(`Invalid ${opcode} instruction: missing operands`);
+                }
+                break;
+
             case 'ret':
-                // ret (no operands)
+                // ret      (return to x30)
+                // ret x1   (return to address in x1)
+                if (parts.length >= 2) {
+                    result.src = this.parseRegister(parts[1]);
+                    if (!result.src || typeof result.src === 'string' || result.src.type !== 'x') {
+                        throw new Error(`Invalid ret instruction: operand must be an X register`);
+                    }
+                }
+                break;
+
+            case 'svc': {
+                // svc #0   (Linux system call: number in x8, arguments in x0-x5)
+                if (parts.length !== 2) {
+                    throw new Error(`Invalid svc instruction: expected svc #imm`);
+                }
+                result.immediate = this.parseImmediate(parts[1].replace(/^#/, ''));
+                if (result.immediate < 0n || result.immediate > 0xFFFFn) {
+                    throw new Error(`Invalid svc immediate ${result.immediate}: must be in range 0-65535`);
+                }
+                break;
+            }
+
+            case 'nop':
+            case 'yield':
+            case 'wfi':
+            case 'wfe':
+                // Hints: there is nothing to wait for in the simulator, so they do nothing
+                if (parts.length !== 1) {
+                    throw new Error(`Invalid ${opcode} instruction: ${opcode} takes no operands`);
+                }
+                break;
+
+            case 'brk':
+            case 'hlt':
+            case 'udf': {
+                // brk #0   (software breakpoint: pauses the UI)
+                // hlt #0   (halt for a debugger: also pauses the UI)
+                // udf #1   (permanently undefined: raises an undefined instruction fault)
+                if (parts.length !== 2) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${opcode} #imm`);
+                }
+                result.immediate = this.parseImmediate(parts[1].replace(/^#/, ''));
+                if (result.immediate < 0n || result.immediate > 0xFFFFn) {
+                    throw new Error(`Invalid ${opcode} immediate ${result.immediate}: must be in range 0-65535`);
+                }
+                break;
+            }
+
+            case 'mrs':
+            case 'msr': {
+                // mrs x0, nzcv        (read a system register)
+                // msr tpidr_el0, x1   (write a system register)
+                const operands = parts.slice(1).join(' ').split(',').map(op => op.trim()).filter(op => op);
+                if (operands.length !== 2) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${opcode === 'mrs' ? 'mrs Xt, sysreg' : 'msr sysreg, Xt'}`);
+                }
+                const [regStr, sysregStr] = opcode === 'mrs' ? operands : [operands[1], operands[0]];
+                const reg = this.parseRegister(regStr);
+                if (!reg || typeof reg === 'string' || reg.type !== 'x') {
+                    throw new Error(`Invalid ${opcode} instruction: general register must be an X register`);
+                }
+                result.sysreg = sysregStr.toLowerCase();
+                const sysreg = SYSTEM_REGISTERS[result.sysreg];
+                if (!sysreg) {
+                    throw new Error(`Invalid ${opcode} instruction: unknown system register ${sysregStr} (supported: ${Object.keys(SYSTEM_REGISTERS).join(', ')})`);
+                }
+                if (opcode === 'mrs') {
+                    result.dest = reg;
+                } else {
+                    if (!sysreg.writable) {
+                        throw new Error(`Invalid msr instruction: ${result.sysreg} is read-only`);
+                    }
+                    result.src = reg;
+                }
+                break;
+            }
+
+            case 'br':
+            case 'blr':
+                // br x16   (jump to address in x16)
+                // blr x0   (call function pointer in x0)
+                if (parts.length !== 2) {
+                    throw new Error(`Invalid ${opcode} instruction: expected ${opcode} Xn`);
+                }
+                result.src = this.parseRegister(parts[1]);
+                if (!result.src || typeof result.src === 'string' || result.src.type !== 'x') {
+                    throw new Error(`Invalid ${opcode} instruction: operand must be an X register`);
+                }
                 break;
 
             case 'adr':
@@ -618,12 +1570,13 @@ class ARM64Simulator {
                 break;
 
             default:
-                // Check for conditional branches (beq, bne, ble, etc.) - NO DOTS
-                if (opcode.match(/^b(eq|ne|lt|le|gt|ge|lo|ls|hi|hs|mi|pl)$/)) {
+                // Conditional branches (beq, b.ne, bcs, ...), already normalized to the undotted form
+                if (this.isConditionalBranch(opcode)) {
                     // Parse like unconditional branch: beq label
                     if (parts.length >= 2) {
                         result.label = parts.slice(1).join(' ').trim();
                     }
+                    result.condition = opcode.substring(1);
                 } else {
                     console.warn(`Unknown instruction: ${opcode}`);
                     return null;
@@ -631,6 +1584,7 @@ class ARM64Simulator {
                 break;
         }
 
+        this.validateRegister31(result);
         return result;
     }
 
@@ -684,6 +1638,12 @@ class ARM64Simulator {
             numStr = numStr.substring(1);
         }
         
+        // Symbolic constant defined with "name = expr", .equ or .set
+        const constant = this.symbolTable && this.symbolTable.get(numStr);
+        if (constant && constant.type === 'constant') {
+            return isNegative ? -constant.address : constant.address;
+        }
+        
         // Parse the number (handles hex 0x prefix)
         let value;
         if (numStr.toLowerCase().startsWith('0x')) {
@@ -701,10 +1661,22 @@ class ARM64Simulator {
     }
 
     parseRegister(regStr) {
-        regStr = regStr.trim().toLowerCase();
-        if (regStr === 'sp') return 'sp';
-        if (regStr === 'lr') return 'lr';
+        regStr = regStr.trim().replace(/,$/, '').toLowerCase();
+        if (regStr === 'sp' || regStr === 'wsp') return regStr;
         if (regStr === 'pc') return 'pc';
+        // Register 31 is the zero register in most operand positions (see validateRegister31)
+        if (regStr === 'xzr' || regStr === 'wzr') {
+            return { type: regStr[0], num: 31, name: regStr, zero: true };
+        }
+        if (regStr === 'x31' || regStr === 'w31') {
+            const [zero, stack] = regStr[0] === 'x' ? ['xzr', 'sp'] : ['wzr', 'wsp'];
+            throw new Error(`Invalid register ${regStr}: register 31 is written ${zero} (zero register) or ${stack} (stack pointer)`);
+        }
+        // Procedure-call-standard aliases of general registers
+        const aliases = { fp: 29, lr: 30, ip0: 16, ip1: 17 };
+        if (regStr in aliases) {
+            return { type: 'x', num: aliases[regStr], name: `x${aliases[regStr]}` };
+        }
         if (regStr.startsWith('x')) {
             const num = parseInt(regStr.substring(1));
             if (num >= 0 && num <= 30) {
@@ -717,7 +1689,631 @@ class ARM64Simulator {
                 return { type: 'w', num: num, name: `w${num}` };
             }
         }
-        return null;
+        return null;
+    }
+
+    parseFPRegister(regStr) {
+        // s0-s31 (single precision) and d0-d31 (double precision) views of the SIMD/FP registers
+        const match = regStr.trim().replace(/,$/, '').toLowerCase().match(/^([sd])(\d+)$/);
+        if (!match) return null;
+        const num = parseInt(match[2]);
+        if (num > 31) return null;
+        return { type: match[1], num: num, name: `${match[1]}${num}` };
+    }
+
+    validateRegister31(result) {
+        // Register number 31 is the stack pointer in some operand positions and the zero
+        // register in others, so sp/wsp and xzr/wzr are only accepted where the encoding allows.
+        const opcode = result.opcode;
+        const isSP = (reg) => reg === 'sp' || reg === 'wsp';
+        const isZR = (reg) => !!(reg && reg.zero);
+        
+        // Which meaning register 31 has for each operand field: 'sp' or 'zr'
+        const roles = {};
+        const arithmetic = ['add', 'sub', 'adds', 'subs', 'cmp', 'cmn'].includes(opcode);
+        if (result.base !== undefined) {
+            // Load/store base addresses use sp; data registers and offsets use the zero register
+            roles.base = 'sp';
+        } else if (arithmetic) {
+            // Immediate and extended-register forms take sp for Rn (and Rd unless flags are set).
+            // A plain register (or "lsl #0-4", the preferred spelling of uxtx) is assembled as
+            // the extended form when sp appears, and as the shifted form otherwise.
+            const registerForm = result.immediate === undefined && result.label === undefined && !result.extendType;
+            const uxtxAlias = !result.shiftType || (result.shiftType === 'lsl' && result.shiftAmount <= 4);
+            const setsFlags = opcode.endsWith('s') || opcode === 'cmp' || opcode === 'cmn';
+            const usesSP = isSP(result.src1) || (!setsFlags && isSP(result.dest));
+            if (!registerForm || (usesSP && uxtxAlias)) {
+                roles.src1 = 'sp';
+                if (!setsFlags) {
+                    roles.dest = 'sp';
+                }
+            }
+        } else if (['and', 'orr', 'eor'].includes(opcode) && result.immediate !== undefined) {
+            // Logical immediates can write sp (but not the flag-setting ands)
+            roles.dest = 'sp';
+        } else if (opcode === 'mov') {
+            // mov to/from sp is an alias of add #0; otherwise mov is orr/movz with the zero register
+            if (isSP(result.dest) || isSP(result.src)) {
+                roles.dest = 'sp';
+                roles.src = 'sp';
+            }
+        }
+        
+        for (const field of ['dest', 'dest2', 'src', 'src1', 'src2', 'src3', 'base', 'offsetReg']) {
+            const reg = result[field];
+            const role = roles[field] || 'zr';
+            if (role === 'zr' && isSP(reg)) {
+                throw new Error(`Invalid ${opcode} instruction: ${reg} cannot be used here (register 31 is the zero register in this position)`);
+            }
+            if (role === 'sp' && isZR(reg)) {
+                throw new Error(`Invalid ${opcode} instruction: ${reg.name} cannot be used here (register 31 is the stack pointer in this position)`);
+            }
+        }
+    }
+
+    parseLogicalShift(shiftText, result, opcode) {
+        // Shift of the last register of and/orr/eor/ands/bic/tst/mvn: lsl, lsr, asr or ror by 0..size-1
+        const match = shiftText.trim().match(/^(lsl|lsr|asr|ror)\s*#(\d+)$/i);
+        if (!match) {
+            throw new Error(`Invalid ${opcode} instruction: unknown shift '${shiftText.trim()}'`);
+        }
+        const sizeReg = result.dest || result.src1;
+        const size = sizeReg && sizeReg.type === 'w' ? 32 : 64;
+        const amount = parseInt(match[2]);
+        if (amount >= size) {
+            throw new Error(`Invalid ${opcode} shift amount ${amount}: must be in range 0-${size - 1}`);
+        }
+        result.shiftType = match[1].toLowerCase();
+        result.shiftAmount = amount;
+    }
+
+    parseShiftedOrExtendedRegister(operand, result, opcode) {
+        // Second source of add/sub/cmp/cmn/neg, with the separating comma already removed:
+        //   x2                plain register
+        //   x2 lsl #3         shifted register (lsl/lsr/asr, amount 0..size-1)
+        //   w2 sxtw #2        extended register (uxtb/uxth/uxtw/uxtx/sxtb/sxth/sxtw/sxtx, amount 0..4)
+        const match = operand.trim().match(/^(\w+)\s*,?\s*(lsl|lsr|asr|[us]xt[bhwx])(?:\s*#(\d+))?$/i);
+        if (!match) {
+            // Anything after the register is a modifier we do not know (ror, misspellings, a second shift)
+            const [register, ...rest] = operand.trim().split(/\s+/);
+            if (rest.length > 0) {
+                throw new Error(`Invalid ${opcode} instruction: unknown shift/extend '${rest.join(' ')}'`);
+            }
+            result.src2 = this.parseRegister(register);
+            return;
+        }
+        
+        result.src2 = this.parseRegister(match[1]);
+        if (!result.src2 || typeof result.src2 === 'string') {
+            throw new Error(`Invalid ${opcode} instruction: '${match[1]}' cannot be shifted or extended`);
+        }
+        
+        const modifier = match[2].toLowerCase();
+        const amount = match[3] !== undefined ? parseInt(match[3]) : 0;
+        // Operation size follows the destination, or the first source for cmp/cmn
+        const sizeReg = result.dest || result.src1;
+        const size = sizeReg && sizeReg.type === 'w' ? 32 : 64;
+        
+        if (['lsl', 'lsr', 'asr'].includes(modifier)) {
+            if (match[3] === undefined) {
+                throw new Error(`Invalid ${opcode} shift: ${modifier} requires an amount`);
+            }
+            if (amount >= size) {
+                throw new Error(`Invalid ${opcode} shift amount ${amount}: must be in range 0-${size - 1}`);
+            }
+            result.shiftType = modifier;
+            result.shiftAmount = amount;
+        } else {
+            if (amount > 4) {
+                throw new Error(`Invalid ${opcode} extend amount ${amount}: must be in range 0-4`);
+            }
+            // uxtx/sxtx take an X register; the narrower extends read a W register
+            const expectedType = size === 32 || !modifier.endsWith('x') ? 'w' : 'x';
+            if (result.src2.type !== expectedType) {
+                throw new Error(`Invalid ${opcode} instruction: ${modifier} requires a ${expectedType.toUpperCase()} register, got ${match[1]}`);
+            }
+            result.extendType = modifier;
+            result.shiftAmount = amount;
+        }
+    }
+
+    parseMemoryOperand(memOp, result) {
+        // Parse a bracketed memory operand into base/offset fields on result
+        // [x1]             -> offset 0
+        // [x1, #8]         -> immediate offset
+        // [x1, x2]         -> register offset
+        // [x1, x2, lsl #3] -> scaled register offset
+        // [x1, #-16]!      -> pre-index: address = x1 - 16, then x1 = address
+        // [x1], #8         -> post-index: address = x1, then x1 = x1 + 8
+        const memMatch = memOp.match(/\[([^\]]+)\]\s*(!)?\s*(?:,\s*(.+))?$/);
+        if (!memMatch) {
+            return;
+        }
+        
+        const memParts = memMatch[1].split(',');
+        result.base = this.parseRegister(memParts[0].trim());
+        
+        if (memMatch[3] !== undefined) {
+            // Post-index: the offset follows the closing bracket and must be an immediate
+            if (memParts.length > 1 || memMatch[2]) {
+                throw new Error(`Invalid post-indexed memory operand: ${memOp}`);
+            }
+            const postPart = memMatch[3].trim();
+            const immStr = postPart.startsWith('#') ? postPart.substring(1) : postPart;
+            if (!/^-?(0x[0-9a-f]+|\d+)$/i.test(immStr.trim())) {
+                throw new Error(`Post-indexed offset must be an immediate: ${memOp}`);
+            }
+            result.offset = this.parseImmediate(immStr);
+            result.offsetType = 'immediate';
+            result.writeback = 'post';
+            return;
+        }
+        
+        if (memMatch[2]) {
+            // Pre-index: writeback only exists for the immediate form
+            result.writeback = 'pre';
+        }
+        
+        if (memParts.length > 1) {
+            // Re-join the rest so "x2, lsl #3" stays together
+            const offsetPart = memParts.slice(1).join(',').trim();
+            
+            // Check for scaled offset: x2, lsl #3
+            const scaledMatch = offsetPart.match(/^(\w+)\s*,\s*lsl\s*#(\d+)$/i);
+            if (scaledMatch) {
+                result.offsetReg = this.parseRegister(scaledMatch[1]);
+                result.shift = parseInt(scaledMatch[2]);
+                result.offsetType = 'scaled';
+            } else if (offsetPart.startsWith('#')) {
+                // Immediate offset
+                result.offset = this.parseImmediate(offsetPart.substring(1));
+                result.offsetType = 'immediate';
+            } else {
+                // Try register offset
+                const regOffset = this.parseRegister(offsetPart);
+                if (regOffset) {
+                    result.offsetReg = regOffset;
+                    result.offsetType = 'register';
+                } else {
+                    // Try as immediate without #
+                    const numValue = parseInt(offsetPart);
+                    if (!isNaN(numValue)) {
+                        result.offset = BigInt(numValue);
+                        result.offsetType = 'immediate';
+                    }
+                }
+            }
+        } else {
+            result.offset = 0n;
+            result.offsetType = 'immediate';
+        }
+        
+        if (result.writeback === 'pre' && result.offsetType !== 'immediate') {
+            throw new Error(`Pre-indexed memory operand requires an immediate offset: ${memOp}`);
+        }
+    }
+
+    checkWritebackBase(opcode, registers, result) {
+        // A pre/post-indexed access whose base is also a transferred register (ldr x1, [x1], #8) is
+        // CONSTRAINED UNPREDICTABLE, so assemblers reject it; sp as the base never overlaps xzr
+        if (!result.writeback || !result.base || typeof result.base === 'string') {
+            return;
+        }
+        for (const reg of registers) {
+            if (reg && typeof reg !== 'string' && ['x', 'w'].includes(reg.type) && reg.num === result.base.num) {
+                throw new Error(`Invalid ${opcode} instruction: ${reg.name} is both transferred and the writeback base ${result.base.name}, which is unpredictable`);
+            }
+        }
+    }
+
+    // Advanced SIMD (NEON) subset
+    // Vector registers are written vN.<T> with arrangement T = 8b, 16b, 4h, 8h, 2s, 4s, 1d or 2d,
+    // and single elements as vN.<Ts>[index]. They share storage with the scalar S/D registers.
+    isVectorInstruction(opcode, operandText) {
+        const vectorOnly = ['ld1', 'st1', 'dup', 'ins', 'umov', 'addv', 'cmeq', 'cmgt', 'movi'];
+        const shared = ['mov', 'add', 'sub', 'mul', 'and', 'orr', 'eor'];
+        return vectorOnly.includes(opcode) ||
+            (shared.includes(opcode) && /(^|[\s,{])v\d+\./i.test(operandText));
+    }
+
+    parseVectorRegister(regStr) {
+        // v0.4s -> { type: 'v', num: 0, name: 'v0', arrangement: '4s', lanes: 4, laneBits: 32 }
+        const match = regStr.trim().toLowerCase().match(/^v(\d+)\.(8b|16b|4h|8h|2s|4s|1d|2d)$/);
+        if (!match || parseInt(match[1]) > 31) return null;
+        const laneBits = { b: 8, h: 16, s: 32, d: 64 }[match[2].slice(-1)];
+        return {
+            type: 'v',
+            num: parseInt(match[1]),
+            name: `v${match[1]}`,
+            arrangement: match[2],
+            lanes: parseInt(match[2]),
+            laneBits: laneBits
+        };
+    }
+
+    parseVectorElement(elemStr) {
+        // v1.s[2] -> { type: 'v', num: 1, name: 'v1', laneBits: 32, index: 2 }
+        const match = elemStr.trim().toLowerCase().match(/^v(\d+)\.([bhsd])\[(\d+)\]$/);
+        if (!match || parseInt(match[1]) > 31) return null;
+        const laneBits = { b: 8, h: 16, s: 32, d: 64 }[match[2]];
+        const index = parseInt(match[3]);
+        if (index >= 128 / laneBits) {
+            throw new Error(`Invalid vector element ${elemStr}: index must be in range 0-${128 / laneBits - 1}`);
+        }
+        return { type: 'v', num: parseInt(match[1]), name: `v${match[1]}`, laneBits: laneBits, index: index };
+    }
+
+    parseVectorInstruction(opcode, operandText, result) {
+        result.vector = true;
+        const operands = operandText.split(',').map(op => op.trim()).filter(op => op);
+        const vreg = (str, what) => {
+            const reg = this.parseVectorRegister(str);
+            if (!reg) {
+                throw new Error(`Invalid ${opcode} instruction: ${what} '${str}' is not a vector register like v0.4s`);
+            }
+            return reg;
+        };
+        const velem = (str, what) => {
+            const elem = this.parseVectorElement(str);
+            if (!elem) {
+                throw new Error(`Invalid ${opcode} instruction: ${what} '${str}' is not a vector element like v0.s[1]`);
+            }
+            return elem;
+        };
+        const generalReg = (str) => {
+            const reg = this.parseRegister(str);
+            return reg && typeof reg !== 'string' ? reg : null;
+        };
+        
+        switch (opcode) {
+            case 'mov': {
+                // mov is an alias with vector operands:
+                // mov v0.s[1], w2 / mov v0.s[1], v1.s[3]  -> ins
+                // mov w0, v1.s[2] / mov x0, v1.d[1]       -> umov (s and d elements only)
+                // mov v0.16b, v1.16b                      -> orr v0.16b, v1.16b, v1.16b
+                if (operands.length !== 2) {
+                    throw new Error(`Invalid mov instruction: expected 2 operands`);
+                }
+                if (this.parseVectorElement(operands[0])) {
+                    result.opcode = 'ins';
+                    this.parseVectorInstruction('ins', operandText, result);
+                    break;
+                }
+                if (generalReg(operands[0])) {
+                    const elem = velem(operands[1], 'source');
+                    if (elem.laneBits < 32) {
+                        throw new Error(`Invalid mov instruction: use umov to move a ${elem.laneBits === 8 ? 'byte' : 'halfword'} element to a general-purpose register`);
+                    }
+                    result.opcode = 'umov';
+                    this.parseVectorInstruction('umov', operandText, result);
+                    break;
+                }
+                const dest = vreg(operands[0], 'destination');
+                const src = vreg(operands[1], 'source');
+                if (dest.arrangement !== src.arrangement) {
+                    throw new Error(`Invalid mov instruction: both registers must use the same arrangement`);
+                }
+                // The copy is bitwise, so only the register width matters
+                const arrangement = dest.lanes * dest.laneBits === 128 ? '16b' : '8b';
+                result.opcode = 'orr';
+                this.parseVectorInstruction('orr', `${dest.name}.${arrangement}, ${src.name}.${arrangement}, ${src.name}.${arrangement}`, result);
+                break;
+            }
+            
+            case 'ld1':
+            case 'st1': {
+                // ld1 {v0.4s}, [x0]
+                // st1 {v0.16b, v1.16b}, [x1], #32   (post-index by the number of bytes transferred)
+                const listMatch = operandText.match(/^\s*\{([^}]*)\}\s*,\s*(.+)$/);
+                if (!listMatch) {
+                    throw new Error(`Invalid ${opcode} instruction: expected {vN.T, ...}, [Xn]`);
+                }
+                const regs = listMatch[1].split(',').map(r => r.trim()).filter(r => r).map(r => vreg(r, 'list entry'));
+                if (regs.length < 1 || regs.length > 4) {
+                    throw new Error(`Invalid ${opcode} instruction: register list must hold 1 to 4 registers`);
+                }
+                regs.forEach((reg, i) => {
+                    if (reg.arrangement !== regs[0].arrangement || reg.num !== (regs[0].num + i) % 32) {
+                        throw new Error(`Invalid ${opcode} instruction: list registers must be consecutive with the same arrangement`);
+                    }
+                });
+                result.vregs = regs;
+                
+                this.parseMemoryOperand(listMatch[2], result);
+                if (!result.base || result.offsetType !== 'immediate' || result.writeback === 'pre' ||
+                    (result.writeback !== 'post' && result.offset !== 0n)) {
+                    throw new Error(`Invalid ${opcode} instruction: address must be [Xn] or [Xn], #imm`);
+                }
+                const totalBytes = BigInt(regs.length * regs[0].lanes * regs[0].laneBits / 8);
+                if (result.writeback === 'post' && result.offset !== totalBytes) {
+                    throw new Error(`Invalid ${opcode} instruction: post-index immediate must be #${totalBytes}`);
+                }
+                break;
+            }
+            
+            case 'add':
+            case 'sub':
+            case 'mul':
+            case 'and':
+            case 'orr':
+            case 'eor':
+            case 'cmeq':
+            case 'cmgt': {
+                // add v0.4s, v1.4s, v2.4s
+                // and v0.16b, v1.16b, v2.16b
+                // cmeq v0.4s, v1.4s, #0
+                if (operands.length !== 3) {
+                    throw new Error(`Invalid ${opcode} instruction: expected 3 operands`);
+                }
+                result.dest = vreg(operands[0], 'destination');
+                result.src1 = vreg(operands[1], 'source');
+                if ((opcode === 'cmeq' || opcode === 'cmgt') && operands[2].startsWith('#')) {
+                    if (this.parseImmediate(operands[2].substring(1)) !== 0n) {
+                        throw new Error(`Invalid ${opcode} instruction: the only immediate allowed is #0`);
+                    }
+                    result.immediate = 0n;
+                } else {
+                    result.src2 = vreg(operands[2], 'source');
+                }
+                const regs = [result.dest, result.src1, result.src2].filter(r => r);
+                if (regs.some(r => r.arrangement !== result.dest.arrangement)) {
+                    throw new Error(`Invalid ${opcode} instruction: all registers must use the same arrangement`);
+                }
+                const arrangement = result.dest.arrangement;
+                if (['and', 'orr', 'eor'].includes(opcode) && arrangement !== '8b' && arrangement !== '16b') {
+                    throw new Error(`Invalid ${opcode} instruction: arrangement must be 8b or 16b`);
+                }
+                if (arrangement === '1d' || (opcode === 'mul' && arrangement === '2d')) {
+                    throw new Error(`Invalid ${opcode} instruction: arrangement ${arrangement} is not supported`);
+                }
+                break;
+            }
+            
+            case 'dup': {
+                // dup v0.4s, w1       (every lane = w1)
+                // dup v0.2d, v1.d[1]  (every lane = element)
+                if (operands.length !== 2) {
+                    throw new Error(`Invalid dup instruction: expected 2 operands`);
+                }
+                result.dest = vreg(operands[0], 'destination');
+                if (result.dest.arrangement === '1d') {
+                    throw new Error(`Invalid dup instruction: arrangement 1d is not supported`);
+                }
+                const general = generalReg(operands[1]);
+                if (general) {
+                    if ((general.type === 'x') !== (result.dest.laneBits === 64)) {
+                        throw new Error(`Invalid dup instruction: use an X register for d lanes and a W register otherwise`);
+                    }
+                    result.src1 = general;
+                } else {
+                    result.srcElement = velem(operands[1], 'source');
+                    if (result.srcElement.laneBits !== result.dest.laneBits) {
+                        throw new Error(`Invalid dup instruction: element size must match the lane size`);
+                    }
+                }
+                break;
+            }
+            
+            case 'ins': {
+                // ins v0.s[1], w2
+                // ins v0.s[1], v1.s[3]
+                if (operands.length !== 2) {
+                    throw new Error(`Invalid ins instruction: expected 2 operands`);
+                }
+                result.destElement = velem(operands[0], 'destination');
+                const general = generalReg(operands[1]);
+                if (general) {
+                    if ((general.type === 'x') !== (result.destElement.laneBits === 64)) {
+                        throw new Error(`Invalid ins instruction: use an X register for d elements and a W register otherwise`);
+                    }
+                    result.src1 = general;
+                } else {
+                    result.srcElement = velem(operands[1], 'source');
+                    if (result.srcElement.laneBits !== result.destElement.laneBits) {
+                        throw new Error(`Invalid ins instruction: element sizes must match`);
+                    }
+                }
+                break;
+            }
+            
+            case 'umov': {
+                // umov w0, v1.s[2]
+                // umov x0, v1.d[1]
+                if (operands.length !== 2) {
+                    throw new Error(`Invalid umov instruction: expected 2 operands`);
+                }
+                result.dest = generalReg(operands[0]);
+                result.srcElement = velem(operands[1], 'source');
+                if (!result.dest || (result.dest.type === 'x') !== (result.srcElement.laneBits === 64)) {
+                    throw new Error(`Invalid umov instruction: use an X register for d elements and a W register otherwise`);
+                }
+                break;
+            }
+            
+            case 'addv': {
+                // addv s0, v1.4s   (sum of all lanes; destination size matches the lane size)
+                if (operands.length !== 2) {
+                    throw new Error(`Invalid addv instruction: expected 2 operands`);
+                }
+                result.src1 = vreg(operands[1], 'source');
+                if (!['8b', '16b', '4h', '8h', '4s'].includes(result.src1.arrangement)) {
+                    throw new Error(`Invalid addv instruction: arrangement must be 8b, 16b, 4h, 8h or 4s`);
+                }
+                const destMatch = operands[0].toLowerCase().match(/^([bhs])(\d+)$/);
+                const laneLetter = result.src1.arrangement.slice(-1);
+                if (!destMatch || parseInt(destMatch[2]) > 31 || destMatch[1] !== laneLetter) {
+                    throw new Error(`Invalid addv instruction: destination must be ${laneLetter}N for ${result.src1.arrangement}`);
+                }
+                result.destScalar = { num: parseInt(destMatch[2]), laneBits: result.src1.laneBits };
+                break;
+            }
+            
+            case 'movi': {
+                // movi v0.16b, #0xff
+                // movi v0.4s, #1, lsl #8
+                // movi v0.2d, #0xff00ff00ff00ff00  (each byte 0x00 or 0xff)
+                if (operands.length < 2 || operands.length > 3 || !operands[1].startsWith('#')) {
+                    throw new Error(`Invalid movi instruction: expected movi vN.T, #imm{, lsl #n}`);
+                }
+                result.dest = vreg(operands[0], 'destination');
+                const imm = this.parseImmediate(operands[1].substring(1));
+                let shift = 0;
+                if (operands.length === 3) {
+                    const shiftMatch = operands[2].match(/^lsl\s*#(\d+)$/i);
+                    if (!shiftMatch) {
+                        throw new Error(`Invalid movi shift: ${operands[2]}`);
+                    }
+                    shift = parseInt(shiftMatch[1]);
+                }
+                const laneBits = result.dest.laneBits;
+                if (laneBits === 64) {
+                    const bytes = Array.from({ length: 8 }, (_, i) => (imm >> BigInt(i * 8)) & 0xFFn);
+                    if (imm < 0n || imm > 0xFFFFFFFFFFFFFFFFn || bytes.some(b => b !== 0n && b !== 0xFFn) || shift !== 0) {
+                        throw new Error(`Invalid movi immediate ${operands[1]}: for d lanes each byte must be 0x00 or 0xff`);
+                    }
+                    result.immediate = imm;
+                } else {
+                    const validShifts = laneBits === 8 ? [0] : laneBits === 16 ? [0, 8] : [0, 8, 16, 24];
+                    if (imm < 0n || imm > 0xFFn || !validShifts.includes(shift)) {
+                        throw new Error(`Invalid movi immediate ${operands[1]}: must be 0-255 with lsl of ${validShifts.join(', ')}`);
+                    }
+                    result.immediate = imm << BigInt(shift);
+                }
+                break;
+            }
+            
+            default:
+                throw new Error(`Unsupported vector instruction: ${opcode}`);
+        }
+    }
+
+    getVectorLanes(num, laneBits, count) {
+        // Read count lanes of laneBits each from Vnum, lane 0 in the low bits
+        const value = this.fpRegisters[`v${num}`];
+        const laneMask = (1n << BigInt(laneBits)) - 1n;
+        const lanes = [];
+        for (let i = 0; i < count; i++) {
+            lanes.push((value >> BigInt(i * laneBits)) & laneMask);
+        }
+        return lanes;
+    }
+
+    setVectorLanes(num, laneBits, lanes) {
+        // Write lanes into Vnum; a 64-bit arrangement clears the upper half
+        const laneMask = (1n << BigInt(laneBits)) - 1n;
+        let value = 0n;
+        lanes.forEach((lane, i) => {
+            value |= (lane & laneMask) << BigInt(i * laneBits);
+        });
+        this.fpRegisters[`v${num}`] = value;
+        this.vectorArrangements[num] = `${lanes.length}${{ 8: 'b', 16: 'h', 32: 's', 64: 'd' }[laneBits]}`;
+        this.changedRegisters.add(`v${num}`);
+    }
+
+    setVectorElement(elem, value) {
+        // Insert one element, keeping the other lanes
+        const laneMask = (1n << BigInt(elem.laneBits)) - 1n;
+        const shift = BigInt(elem.index * elem.laneBits);
+        const key = `v${elem.num}`;
+        this.fpRegisters[key] = (this.fpRegisters[key] & ~(laneMask << shift)) | ((value & laneMask) << shift);
+        this.changedRegisters.add(key);
+    }
+
+    executeVector(parsed, opcode) {
+        const getElement = (elem) => this.getVectorLanes(elem.num, elem.laneBits, elem.index + 1)[elem.index];
+        
+        switch (opcode) {
+            case 'ld1':
+            case 'st1': {
+                // Registers are transferred in list order, each lane little-endian
+                const address = this.getEffectiveAddress(parsed);
+                const regBytes = parsed.vregs[0].lanes * parsed.vregs[0].laneBits / 8;
+                parsed.vregs.forEach((reg, r) => {
+                    const regAddr = address + BigInt(r * regBytes);
+                    if (opcode === 'ld1') {
+                        const bytes = [];
+                        for (let i = 0; i < regBytes; i++) {
+                            bytes.push(this.readMemory(regAddr + BigInt(i), 1) & 0xFFn);
+                            this.changedMemory.add(Number(regAddr) + i);
+                        }
+                        this.setVectorLanes(reg.num, 8, bytes);
+                        this.vectorArrangements[reg.num] = reg.arrangement;
+                    } else {
+                        const bytes = this.getVectorLanes(reg.num, 8, regBytes);
+                        bytes.forEach((byte, i) => {
+                            this.writeMemory(regAddr + BigInt(i), byte, 1);
+                            this.changedMemory.add(Number(regAddr) + i);
+                        });
+                    }
+                });
+                this.applyWriteback(parsed, address);
+                break;
+            }
+            
+            case 'add':
+            case 'sub':
+            case 'mul':
+            case 'and':
+            case 'orr':
+            case 'eor':
+            case 'cmeq':
+            case 'cmgt': {
+                const { lanes, laneBits } = parsed.dest;
+                const laneMask = (1n << BigInt(laneBits)) - 1n;
+                const a = this.getVectorLanes(parsed.src1.num, laneBits, lanes);
+                const b = parsed.src2 ? this.getVectorLanes(parsed.src2.num, laneBits, lanes) : new Array(lanes).fill(0n);
+                const signed = (v) => (v >> BigInt(laneBits - 1)) & 1n ? v - (1n << BigInt(laneBits)) : v;
+                const result = a.map((x, i) => {
+                    const y = b[i];
+                    switch (opcode) {
+                        case 'add': return x + y;
+                        case 'sub': return x - y;
+                        case 'mul': return x * y;
+                        case 'and': return x & y;
+                        case 'orr': return x | y;
+                        case 'eor': return x ^ y;
+                        // Comparisons set every bit of a lane that matches, clear it otherwise
+                        case 'cmeq': return x === y ? laneMask : 0n;
+                        case 'cmgt': return signed(x) > signed(y) ? laneMask : 0n;
+                    }
+                });
+                this.setVectorLanes(parsed.dest.num, laneBits, result);
+                break;
+            }
+            
+            case 'dup': {
+                const value = parsed.src1 ? this.getRegisterValue(parsed.src1) : getElement(parsed.srcElement);
+                this.setVectorLanes(parsed.dest.num, parsed.dest.laneBits, new Array(parsed.dest.lanes).fill(value));
+                break;
+            }
+            
+            case 'ins': {
+                const value = parsed.src1 ? this.getRegisterValue(parsed.src1) : getElement(parsed.srcElement);
+                this.setVectorElement(parsed.destElement, value);
+                break;
+            }
+            
+            case 'umov':
+                // Zero-extends the element into the general-purpose register
+                this.setRegisterValue(parsed.dest, getElement(parsed.srcElement));
+                break;
+            
+            case 'addv': {
+                // Sum wraps to the lane size; the result is written as a scalar (upper bits cleared)
+                const lanes = this.getVectorLanes(parsed.src1.num, parsed.src1.laneBits, parsed.src1.lanes);
+                const sum = lanes.reduce((acc, lane) => acc + lane, 0n);
+                this.setVectorLanes(parsed.destScalar.num, parsed.destScalar.laneBits, [sum]);
+                delete this.vectorArrangements[parsed.destScalar.num];
+                break;
+            }
+            
+            case 'movi':
+                this.setVectorLanes(parsed.dest.num, parsed.dest.laneBits, new Array(parsed.dest.lanes).fill(parsed.immediate));
+                break;
+            
+            default:
+                throw new Error(`Unsupported vector instruction: ${opcode}`);
+        }
     }
 
     async executeInstruction(instruction) {
@@ -738,10 +2334,18 @@ class ARM64Simulator {
         try {
             let pcModified = false;
             
-            switch (opcode) {
+            switch (parsed.vector ? 'vector' : opcode) {
+                case 'vector':
+                    this.executeVector(parsed, opcode);
+                    break;
                 case 'mov':
                     this.executeMov(parsed);
                     break;
+                case 'movz':
+                case 'movk':
+                case 'movn':
+                    this.executeMovWide(parsed, opcode);
+                    break;
                 case 'add':
                     this.executeAdd(parsed);
                     break;
@@ -755,11 +2359,25 @@ class ARM64Simulator {
                     this.executeArithmeticWithFlags(parsed, 'sub', true);
                     break;
                 case 'str':
+                case 'strb':
+                case 'strh':
                     this.executeStr(parsed);
                     break;
                 case 'ldr':
+                case 'ldrb':
+                case 'ldrh':
+                case 'ldrsb':
+                case 'ldrsh':
+                case 'ldrsw':
                     this.executeLdr(parsed);
                     break;
+                case 'stp':
+                    this.executeStp(parsed);
+                    break;
+                case 'ldp':
+                case 'ldpsw':
+                    this.executeLdp(parsed);
+                    break;
                 case 'adr':
                     this.executeAdr(parsed, instructionAddress);
                     break;
@@ -772,6 +2390,81 @@ class ARM64Simulator {
                 case 'cmn':
                     this.executeArithmeticWithFlags(parsed, 'add', false);
                     break;
+                case 'ccmp':
+                case 'ccmn':
+                    this.executeConditionalCompare(parsed, opcode);
+                    break;
+                case 'adc':
+                case 'adcs':
+                case 'sbc':
+                case 'sbcs':
+                case 'ngc':
+                case 'ngcs':
+                case 'neg':
+                case 'negs':
+                    this.executeAddWithCarry(parsed, opcode);
+                    break;
+                case 'fadd':
+                case 'fsub':
+                case 'fmul':
+                case 'fdiv':
+                case 'fsqrt':
+                case 'fabs':
+                case 'fneg':
+                    this.executeFPArithmetic(parsed, opcode);
+                    break;
+                case 'fmov':
+                    this.executeFmov(parsed);
+                    break;
+                case 'fcmp':
+                    this.executeFcmp(parsed);
+                    break;
+                case 'fcsel':
+                    this.setRegisterValue(parsed.dest, this.getRegisterValue(this.evaluateCondition(parsed.condition) ? parsed.src1 : parsed.src2));
+                    break;
+                case 'fcvt':
+                case 'fcvtzs':
+                case 'fcvtzu':
+                case 'scvtf':
+                case 'ucvtf':
+                    this.executeFPConvert(parsed, opcode);
+                    break;
+                case 'clz':
+                case 'cls':
+                case 'rbit':
+                case 'rev':
+                case 'rev16':
+                case 'rev32':
+                    this.executeBitManipulation(parsed, opcode);
+                    break;
+                case 'tst':
+                    this.executeLogical(parsed, opcode);
+                    break;
+                case 'mul':
+                case 'mneg':
+                case 'madd':
+                case 'msub':
+                case 'smull':
+                case 'umull':
+                case 'smulh':
+                case 'umulh':
+                    this.executeMultiply(parsed, opcode);
+                    break;
+                case 'sdiv':
+                case 'udiv':
+                    this.executeDivide(parsed, opcode);
+                    break;
+                case 'csel':
+                case 'csinc':
+                case 'csinv':
+                case 'csneg':
+                case 'cset':
+                case 'csetm':
+                case 'cinc':
+                case 'cinv':
+                case 'cneg':
+                    this.executeConditionalSelect(parsed, opcode);
+                    break;
                 case 'and':
                 case 'ands':
                 case 'orr':
@@ -782,16 +2475,75 @@ class ARM64Simulator {
                 case 'lsl':
                 case 'lsr':
                 case 'asr':
+                    if (parsed.bitfieldOp) {
+                        this.executeBitfield(parsed);
+                    } else {
+                        this.executeShift(parsed, opcode);
+                    }
+                    break;
                 case 'ror':
                 case 'mvn':
                     this.executeShift(parsed, opcode);
                     break;
+                case 'ubfm':
+                case 'sbfm':
+                case 'bfm':
+                case 'ubfx':
+                case 'sbfx':
+                case 'bfxil':
+                case 'ubfiz':
+                case 'sbfiz':
+                case 'bfi':
+                case 'sxtb':
+                case 'sxth':
+                case 'sxtw':
+                case 'uxtb':
+                case 'uxth':
+                    this.executeBitfield(parsed);
+                    break;
+                case 'extr':
+                    this.executeExtr(parsed);
+                    break;
                 case 'b':
                     pcModified = this.executeB(parsed);
                     break;
                 case 'bl':
                     pcModified = await this.executeBl(parsed);
                     break;
+                case 'br':
+                    pcModified = this.executeBr(parsed);
+                    break;
+                case 'blr':
+                    pcModified = this.executeBlr(parsed);
+                    break;
+                case 'nop':
+                case 'yield':
+                case 'wfi':
+                case 'wfe':
+                    break;
+                case 'brk':
+                case 'hlt':
+                    // Execution continues after the instruction; the UI pauses when it sees the breakpoint
+                    this.breakpoint = { opcode: opcode, immediate: parsed.immediate, address: instructionAddress };
+                    break;
+                case 'udf': {
+                    // PC stays on the faulting instruction
+                    const fault = new Error(`Undefined instruction: udf #${parsed.immediate} at 0x${instructionAddress.toString(16).toUpperCase()}`);
+                    fault.immediate = parsed.immediate;
+                    throw fault;
+                }
+                case 'mrs':
+                    this.setRegisterValue(parsed.dest, this.readSystemRegister(parsed.sysreg));
+                    break;
+                case 'msr':
+                    this.writeSystemRegister(parsed.sysreg, this.getRegisterValue(parsed.src));
+                    break;
+                case 'svc':
+                    // The immediate is ignored, as on Linux; exit/exit_group end the program
+                    if (!(await this.syscalls.handle())) {
+                        return false; // End of program
+                    }
+                    break;
                 case 'ret':
                     pcModified = this.executeRet(parsed);
                     if (!pcModified) {
@@ -803,15 +2555,24 @@ class ARM64Simulator {
                 case 'cbnz':
                     pcModified = this.executeCbz(parsed, opcode);
                     break;
+                case 'tbz':
+                case 'tbnz':
+                    pcModified = this.executeTbz(parsed, opcode);
+                    break;
                 default:
-                    // Check for conditional branches (beq, bne, ble, bge, etc.) - NO DOTS
-                    if (opcode.match(/^b(eq|ne|lt|le|gt|ge|lo|ls|hi|hs|mi|pl)$/)) {
+                    // Conditional branches (beq, bne, ble, bge, etc.)
+                    if (this.isConditionalBranch(opcode)) {
                         pcModified = this.executeConditionalBranch(parsed, opcode);
                     } else {
                         throw new Error(`Unsupported instruction: ${opcode}`);
                     }
             }
             
+            // exit/_exit/abort stop immediately
+            if (this.exitStatus !== null) {
+                return false; // End of program
+            }
+            
             // Update PC (unless instruction modified it)
             // After executing instruction at address N, PC should point to next instruction at N+4
             if (!pcModified) {
@@ -828,15 +2589,23 @@ class ARM64Simulator {
 
     getRegisterValue(reg) {
         if (typeof reg === 'string') {
-            // Special registers (sp, pc)
-            // Note: LR is x30, not a separate register
-            if (reg === 'lr') {
-                return this.registers.x30 || 0n;
+            // Special registers (sp, pc); wsp is the low 32 bits of sp
+            if (reg === 'wsp') {
+                return this.registers.sp & 0xFFFFFFFFn;
             }
             return this.registers[reg] || 0n;
         }
+        if (reg && reg.zero) {
+            // xzr/wzr always read as zero
+            return 0n;
+        }
         if (reg && reg.type === 'x') {
-            return this.registers[reg.name] || 0n;
+            return this.registers[`x${reg.num}`] || 0n;
+        }
+        if (reg && (reg.type === 's' || reg.type === 'd')) {
+            // Raw IEEE-754 bits held in the low 32/64 bits of the V register
+            const mask = reg.type === 's' ? 0xFFFFFFFFn : 0xFFFFFFFFFFFFFFFFn;
+            return this.fpRegisters[`v${reg.num}`] & mask;
         }
         if (reg && reg.type === 'w') {
             // w register is lower 32 bits of x register, sign-extended
@@ -854,25 +2623,37 @@ class ARM64Simulator {
 
     setRegisterValue(reg, value) {
         if (typeof reg === 'string') {
-            // Special registers (sp, pc)
-            // Note: LR is x30, not a separate register
-            if (reg === 'lr') {
-                this.registers.x30 = value;
-                this.changedRegisters.add('x30');
-                this.changedRegisters.add('w30');
+            // Special registers (sp, pc); writing wsp zero-extends into sp
+            if (reg === 'wsp') {
+                this.registers.sp = value & 0xFFFFFFFFn;
+                this.changedRegisters.add('sp');
                 return;
             }
-            this.registers[reg] = value;
+            this.registers[reg] = value & 0xFFFFFFFFFFFFFFFFn;
             this.changedRegisters.add(reg);
             return;
         }
+        if (reg && reg.zero) {
+            // Writes to xzr/wzr are discarded
+            return;
+        }
         if (reg && reg.type === 'x') {
-            this.registers[reg.name] = value;
-            this.changedRegisters.add(reg.name);
+            const xReg = `x${reg.num}`;
+            this.registers[xReg] = value & 0xFFFFFFFFFFFFFFFFn;
+            this.changedRegisters.add(xReg);
             // Also mark corresponding w register as changed
             this.changedRegisters.add(`w${reg.num}`);
             return;
         }
+        if (reg && (reg.type === 's' || reg.type === 'd')) {
+            // Scalar FP writes zero the rest of the 128-bit V register
+            const mask = reg.type === 's' ? 0xFFFFFFFFn : 0xFFFFFFFFFFFFFFFFn;
+            this.fpRegisters[`v${reg.num}`] = value & mask;
+            delete this.vectorArrangements[reg.num];
+            this.changedRegisters.add(`v${reg.num}`);
+            this.changedRegisters.add(reg.name);
+            return;
+        }
         if (reg && reg.type === 'w') {
             // Writing to w register: update lower 32 bits of x register, zero-extend upper bits
             // In ARM64, writing to w register zero-extends to x register
@@ -885,6 +2666,39 @@ class ARM64Simulator {
         }
     }
 
+    readSystemRegister(name) {
+        switch (name) {
+            case 'nzcv':
+                // N, Z, C, V are bits 31, 30, 29, 28
+                return (this.flags.N ? 1n << 31n : 0n) |
+                       (this.flags.Z ? 1n << 30n : 0n) |
+                       (this.flags.C ? 1n << 29n : 0n) |
+                       (this.flags.V ? 1n << 28n : 0n);
+            case 'cntvct_el0':
+                return BigInt(this.executedInstructionCount);
+            case 'cntfrq_el0':
+                return COUNTER_FREQUENCY;
+            default:
+                return this.systemRegisters[name];
+        }
+    }
+
+    writeSystemRegister(name, value) {
+        if (name === 'nzcv') {
+            // Only bits 31-28 exist; the rest are RES0
+            this.flags.N = (value & (1n << 31n)) !== 0n;
+            this.flags.Z = (value & (1n << 30n)) !== 0n;
+            this.flags.C = (value & (1n << 29n)) !== 0n;
+            this.flags.V = (value & (1n << 28n)) !== 0n;
+        } else if (name === 'fpcr' || name === 'fpsr') {
+            // 32-bit registers: fpcr holds the rounding/trap controls, fpsr the cumulative exception flags
+            this.systemRegisters[name] = value & 0xFFFFFFFFn;
+        } else {
+            this.systemRegisters[name] = value;
+        }
+        this.changedRegisters.add(name);
+    }
+
     countBits(n) {
         // Count the number of bits set in a BigInt (up to 64 bits)
         let count = 0;
@@ -899,132 +2713,73 @@ class ARM64Simulator {
     }
 
     isMovImmediateEncodable(value, is64Bit) {
-        // Check if an immediate value can be encoded using MOVZ or MOVN
+        // Check if an immediate value can be encoded using a single MOVZ or MOVN
         // For 64-bit: shifts are 0, 16, 32, 48
         // For 32-bit: shifts are 0, 16
-        // MOVZ: (16-bit_value << shift) where only that 16-bit chunk is non-zero
-        // MOVN: ~((16-bit_value << shift)) where only that 16-bit chunk is set in notValue
+        // MOVZ: (imm16 << shift) - at most one 16-bit chunk is non-zero
+        // MOVN: ~(imm16 << shift) - at most one 16-bit chunk is not 0xFFFF
+        const mask = is64Bit ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const unsignedValue = value & mask;
+        const chunks = this.getMovChunks(unsignedValue, is64Bit);
+        const nonZero = chunks.filter(chunk => chunk !== 0n).length;
+        const notAllOnes = chunks.filter(chunk => chunk !== 0xFFFFn).length;
+        
+        return nonZero <= 1 || notAllOnes <= 1;
+    }
+
+    getMovChunks(value, is64Bit) {
+        // Split a value into its 16-bit chunks, lowest first
+        const count = is64Bit ? 4 : 2;
+        const chunks = [];
+        for (let i = 0; i < count; i++) {
+            chunks.push((value >> BigInt(i * 16)) & 0xFFFFn);
+        }
+        return chunks;
+    }
+
+    expandPseudoInstruction(parsed) {
+        // Expand an assembler pseudo-instruction into the real instructions it assembles to.
+        // Returns an array of instruction source strings, or null if no expansion is needed.
+        // Currently: "mov xN, #imm" whose immediate has no single MOVZ/MOVN encoding
+        // becomes a MOVZ (or MOVN) followed by MOVKs, like a real assembler's "mov" macro.
+        if (!parsed || parsed.opcode !== 'mov' || parsed.immediate === undefined) {
+            return null;
+        }
+        if (!this.assemblerOptions || !this.assemblerOptions.expandWideImmediates) {
+            return null;
+        }
         
-        const mask64 = 0xFFFFFFFFFFFFFFFFn;
-        const mask32 = 0xFFFFFFFFn;
-        const mask = is64Bit ? mask64 : mask32;
-        
-        // Convert to unsigned representation
-        let unsignedValue = value & mask;
-        
-        // Quick rejection: If the value has more than 16 bits set and doesn't match
-        // a simple pattern, it likely spans multiple chunks incorrectly
-        // Count set bits - if it's more than 16 and not all bits, it's suspicious
-        // (This is a heuristic to catch obvious cases like 0xFFFFFFFFFFFFF)
-        
-        // Check for MOVZ pattern: (16-bit_value << shift)
-        // The value must have bits set in ONLY ONE 16-bit aligned chunk
-        const shifts = is64Bit ? [0, 16, 32, 48] : [0, 16];
-        for (const shift of shifts) {
-            // Extract the 16-bit value at this shift position
-            const shiftedMask = (0xFFFFn << BigInt(shift)) & mask;
-            const extracted = (unsignedValue & shiftedMask) >> BigInt(shift);
-            
-            // Check if all other bits are zero (only this chunk has bits set)
-            const otherBits = unsignedValue & (~shiftedMask);
-            if (otherBits === 0n && extracted <= 0xFFFFn && extracted > 0n) {
-                return true; // Valid MOVZ encoding
-            }
-        }
-        
-        // Check for MOVN pattern: ~((16-bit_value << shift))
-        // This means: value = ~(16-bit_value << shift)
-        // Which means: ~value = (16-bit_value << shift)
-        // So ~value must have bits set in ONLY ONE 16-bit aligned chunk
-        const notValue = (~unsignedValue) & mask;
-        for (const shift of shifts) {
-            const shiftedMask = (0xFFFFn << BigInt(shift)) & mask;
-            const extracted = (notValue & shiftedMask) >> BigInt(shift);
-            const otherBits = notValue & (~shiftedMask);
-            
-            // For MOVN to be valid:
-            // 1. notValue must have bits set in ONLY ONE 16-bit chunk (otherBits === 0)
-            // 2. The extracted value must be exactly a 16-bit value (0x0000 to 0xFFFF)
-            // 3. When we reconstruct: (extracted << shift) must equal notValue exactly
-            // 4. The original value must match ~(extracted << shift) exactly
-            // 5. CRITICAL: The original value must have bits set in ALL chunks EXCEPT the one at shift
-            //    This ensures it's the NOT of a single shifted 16-bit value, not a value spanning multiple chunks
-            if (otherBits === 0n && extracted >= 0n && extracted <= 0xFFFFn && extracted > 0n) {
-                // Verify that reconstructing gives us the exact notValue
-                const reconstructed = (extracted << BigInt(shift)) & mask;
-                // Also verify that the original value matches ~reconstructed exactly
-                const originalReconstructed = (~reconstructed) & mask;
-                if (reconstructed === notValue && originalReconstructed === unsignedValue) {
-                    // Additional critical check: Verify that the original value has the correct pattern
-                    // For MOVN at shift N: all chunks except chunk N should be 0xFFFF (all 1s)
-                    // and chunk N should be ~extracted
-                    let isValidMovn = true;
-                    for (const checkShift of shifts) {
-                        const checkMask = (0xFFFFn << BigInt(checkShift)) & mask;
-                        const chunkValue = (unsignedValue & checkMask) >> BigInt(checkShift);
-                        if (checkShift === shift) {
-                            // At the shift position, the chunk should be the NOT of extracted
-                            const expectedChunk = (~extracted) & 0xFFFFn;
-                            if (chunkValue !== expectedChunk) {
-                                isValidMovn = false;
-                                break;
-                            }
-                            // CRITICAL: For MOVN, reject values where the chunk at shift is only partially set
-                            // This indicates the value spans more bits than can be encoded in a single 16-bit immediate
-                            // For example, 0xFFFFFFFFFFFFF has chunk 3 = 0x000F (only 4 bits), meaning it spans 52 bits
-                            // A single MOV can only encode 16 bits of information, so values spanning more should be rejected
-                            // Check: if the chunk value is not 0xFFFF and not a full 16-bit pattern starting from bit 0,
-                            // it means the value spans incorrectly
-                            // For 0x000F: this is only the lower 4 bits, not a full 16-bit pattern
-                            // Reject if chunkValue is not 0xFFFF and doesn't use the full lower 16 bits
-                            if (chunkValue !== 0xFFFFn) {
-                                // The chunk should be the NOT of extracted
-                                // If extracted = 0xFFF0, chunk = 0x000F
-                                // But 0x000F only uses 4 bits, meaning the original value spans 52 bits
-                                // Reject if the chunk doesn't use bits starting from 0 (i.e., it's not a contiguous pattern from 0)
-                                // For 0x000F: it uses bits 0-3, which is contiguous from 0, so that's not the issue
-                                // The real issue: 0x000F means only 4 bits are used in the chunk, but the value spans 52 bits total
-                                // A valid MOVN should have the chunk use the full 16-bit range when it's not all 1s
-                                // Actually, the simplest check: reject if chunkValue < 0xFFFF and the value has more than shift + 16 bits
-                                // But wait, that's what we're checking with expectedBits
-                                // The key insight: if chunkValue is 0x000F, it means only 4 bits are set in that chunk
-                                // But for a valid MOVN, if the chunk is not all 1s, it should still represent a full 16-bit NOT pattern
-                                // The issue is that 0x000F is the NOT of 0xFFF0, but 0xFFF0 is not a "standard" 16-bit immediate
-                                // Actually, I think the real rule is simpler: reject if the value cannot be represented
-                                // as ~(imm16 << shift) where imm16 is a valid 16-bit immediate
-                                // And 0xFFF0 IS a valid 16-bit immediate, so this should work
-                                // But ARM64 rejects it, so there must be another constraint
-                                // Let me check: maybe the issue is that the value spans 52 bits, which is more than 16
-                                // So the rule is: reject if totalBitsSet > 16 for the chunk at shift
-                                // But that doesn't make sense either, because MOVN can have up to 64 bits set
-                                // I think the real issue is that 0xFFFFFFFFFFFFF cannot be encoded because it requires
-                                // more than one instruction to construct. The value has 52 bits set, which is more than
-                                // the 16 bits that can be encoded in a single immediate field
-                                // Simple fix: reject if the chunk at shift has fewer than 16 bits set when it's not 0xFFFF
-                                // For 0x000F: only 4 bits are set, so reject
-                                const chunkBitsSet = this.countBits(chunkValue);
-                                if (chunkBitsSet < 16 && chunkValue !== 0n) {
-                                    isValidMovn = false;
-                                    break;
-                                }
-                            }
-                        } else {
-                            // At all other positions, the chunk should be all 1s (0xFFFF)
-                            // because we're NOT'ing a value that's 0 in those positions
-                            if (chunkValue !== 0xFFFFn) {
-                                isValidMovn = false;
-                                break;
-                            }
-                        }
-                    }
-                    if (isValidMovn) {
-                        return true; // Valid MOVN encoding
-                    }
-                }
-            }
+        const is64Bit = !(parsed.dest && parsed.dest.type === 'w');
+        const mask = is64Bit ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const value = parsed.immediate & mask;
+        if (this.isMovImmediateEncodable(value, is64Bit)) {
+            return null;
         }
         
-        return false; // Not encodable
+        const reg = parsed.dest.name;
+        const chunks = this.getMovChunks(value, is64Bit);
+        
+        // Start from all-zeros (MOVZ) or all-ones (MOVN), whichever leaves fewer chunks to patch
+        const zeroChunks = chunks.filter(chunk => chunk === 0n).length;
+        const onesChunks = chunks.filter(chunk => chunk === 0xFFFFn).length;
+        const useMovn = onesChunks > zeroChunks;
+        const fill = useMovn ? 0xFFFFn : 0n;
+        
+        const hex = (n) => `0x${n.toString(16).toUpperCase()}`;
+        const lines = [];
+        chunks.forEach((chunk, i) => {
+            if (chunk === fill) return;
+            const shift = i * 16;
+            const shiftStr = shift > 0 ? `, lsl #${shift}` : '';
+            if (lines.length === 0) {
+                const imm16 = useMovn ? (~chunk) & 0xFFFFn : chunk;
+                lines.push(`${useMovn ? 'movn' : 'movz'} ${reg}, #${hex(imm16)}${shiftStr}`);
+            } else {
+                lines.push(`movk ${reg}, #${hex(chunk)}${shiftStr}`);
+            }
+        });
+        
+        return lines;
     }
 
     executeMov(parsed) {
@@ -1046,7 +2801,7 @@ class ARM64Simulator {
             
             // Check if the immediate is encodable
             if (!this.isMovImmediateEncodable(value, is64Bit)) {
-                throw new Error(`MOV immediate value 0x${value.toString(16).toUpperCase()} cannot be encoded using MOVZ/MOVN. Valid immediates must be a 16-bit value shifted by 0, 16, 32, 48 (for 64-bit) or 0, 16 (for 32-bit), or their bitwise NOT.`);
+                throw new Error(`MOV immediate value 0x${value.toString(16).toUpperCase()} cannot be encoded using MOVZ/MOVN. Valid immediates must be a 16-bit value shifted by 0, 16, 32, 48 (for 64-bit) or 0, 16 (for 32-bit), or their bitwise NOT. Enable wide immediate expansion to build it with movz/movk.`);
             }
             
             // Apply sign extension based on register type
@@ -1072,6 +2827,35 @@ class ARM64Simulator {
         }
     }
 
+    executeMovWide(parsed, opcode) {
+        // MOVZ: imm16 << shift, other bits zero
+        // MOVN: ~(imm16 << shift)
+        // MOVK: replace one 16-bit chunk, keep the other bits
+        const size = parsed.dest.type === 'w' ? 32 : 64;
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const shift = BigInt(parsed.shiftAmount || 0);
+        const shifted = parsed.immediate << shift;
+        
+        let result;
+        switch (opcode) {
+            case 'movz':
+                result = shifted;
+                break;
+            case 'movn':
+                result = ~shifted;
+                break;
+            case 'movk': {
+                const current = this.getRegisterValue(parsed.dest);
+                result = (current & ~(0xFFFFn << shift)) | shifted;
+                break;
+            }
+            default:
+                throw new Error(`Unknown move wide operation: ${opcode}`);
+        }
+        
+        this.setRegisterValue(parsed.dest, result & mask);
+    }
+
     executeAdd(parsed) {
         if (!parsed.dest || !parsed.src1) {
             throw new Error(`Invalid add instruction: missing destination or source register`);
@@ -1092,7 +2876,7 @@ class ARM64Simulator {
             // Extract low 12 bits (mask with 0xFFF)
             val2 = labelAddr & 0xFFFn;
         } else if (parsed.src2) {
-            val2 = this.getRegisterValue(parsed.src2);
+            val2 = this.applyOperandModifier(this.getRegisterValue(parsed.src2), parsed, parsed.dest.type === 'w' ? 32 : 64);
         } else {
             return;
         }
@@ -1118,7 +2902,8 @@ class ARM64Simulator {
             this.setRegisterValue(parsed.dest, newSP);
             this.destroyStackFrame(Number(newSP), Number(val2));
         } else {
-            const result = val1 + val2;
+            // Wrap to the register width (the shifted/extended operand may be a large unsigned value)
+            const result = (val1 + val2) & 0xFFFFFFFFFFFFFFFFn;
             this.setRegisterValue(parsed.dest, result);
         }
     }
@@ -1134,7 +2919,7 @@ class ARM64Simulator {
         if (parsed.immediate !== undefined) {
             val2 = parsed.immediate;
         } else if (parsed.src2) {
-            val2 = this.getRegisterValue(parsed.src2);
+            val2 = this.applyOperandModifier(this.getRegisterValue(parsed.src2), parsed, parsed.dest.type === 'w' ? 32 : 64);
         } else {
             throw new Error(`Invalid sub instruction: missing immediate value or second source register. Parsed: ${JSON.stringify(parsed)}`);
         }
@@ -1165,7 +2950,7 @@ class ARM64Simulator {
             this.setRegisterValue(parsed.dest, newSP);
             this.createStackFrame(Number(newSP), Number(val2));
         } else {
-            const result = val1 - val2;
+            const result = (val1 - val2) & 0xFFFFFFFFFFFFFFFFn;
             this.setRegisterValue(parsed.dest, result);
             
             // Update flags if subs
@@ -1176,12 +2961,184 @@ class ARM64Simulator {
         }
     }
 
+    executeMultiply(parsed, opcode) {
+        // Multiply family: MUL, MNEG, MADD, MSUB, SMULL, UMULL, SMULH, UMULH
+        // Products are computed exactly with BigInt, then truncated to the destination size
+        if (!parsed.dest || !parsed.src1 || !parsed.src2) {
+            throw new Error(`Invalid ${opcode} instruction: missing operands`);
+        }
+        
+        const size = parsed.dest.type === 'w' ? 32 : 64;
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const mask32 = 0xFFFFFFFFn;
+        
+        const val1 = this.getRegisterValue(parsed.src1);
+        const val2 = this.getRegisterValue(parsed.src2);
+        let result;
+        
+        switch (opcode) {
+            case 'mul':
+                result = (val1 & mask) * (val2 & mask);
+                break;
+            case 'mneg':
+                result = -((val1 & mask) * (val2 & mask));
+                break;
+            case 'madd':
+                result = (this.getRegisterValue(parsed.src3) & mask) + (val1 & mask) * (val2 & mask);
+                break;
+            case 'msub':
+                result = (this.getRegisterValue(parsed.src3) & mask) - (val1 & mask) * (val2 & mask);
+                break;
+            case 'smull':
+                // Signed 32x32 -> 64-bit product
+                result = this.toSigned(val1 & mask32, 32) * this.toSigned(val2 & mask32, 32);
+                break;
+            case 'umull':
+                // Unsigned 32x32 -> 64-bit product
+                result = (val1 & mask32) * (val2 & mask32);
+                break;
+            case 'smulh':
+                // Upper 64 bits of the signed 128-bit product
+                result = (this.toSigned(val1 & mask, 64) * this.toSigned(val2 & mask, 64)) >> 64n;
+                break;
+            case 'umulh':
+                // Upper 64 bits of the unsigned 128-bit product
+                result = ((val1 & mask) * (val2 & mask)) >> 64n;
+                break;
+            default:
+                throw new Error(`Unknown multiply operation: ${opcode}`);
+        }
+        
+        // Multiplies do NOT modify flags
+        this.setRegisterValue(parsed.dest, result & mask);
+    }
+
+    executeDivide(parsed, opcode) {
+        // SDIV/UDIV: quotient rounds toward zero
+        // Division by zero does not trap on ARM64 - the result is 0
+        if (!parsed.dest || !parsed.src1 || !parsed.src2) {
+            throw new Error(`Invalid ${opcode} instruction: missing operands`);
+        }
+        
+        const size = parsed.dest.type === 'w' ? 32 : 64;
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        
+        let dividend = this.getRegisterValue(parsed.src1) & mask;
+        let divisor = this.getRegisterValue(parsed.src2) & mask;
+        
+        let result;
+        if (divisor === 0n) {
+            result = 0n;
+        } else {
+            if (opcode === 'sdiv') {
+                dividend = this.toSigned(dividend, size);
+                divisor = this.toSigned(divisor, size);
+            }
+            // BigInt division truncates toward zero; MIN / -1 wraps back to MIN after masking
+            result = dividend / divisor;
+        }
+        
+        this.setRegisterValue(parsed.dest, result & mask);
+    }
+
+    executeConditionalSelect(parsed, opcode) {
+        // Conditional select: CSEL, CSINC, CSINV, CSNEG and their aliases
+        // CSET/CSETM/CINC/CINV/CNEG are the architectural aliases of CSINC/CSINV/CSNEG
+        // with the condition inverted, so they are evaluated directly here
+        if (!parsed.dest || !parsed.condition) {
+            throw new Error(`Invalid ${opcode} instruction: missing operands`);
+        }
+        
+        const size = parsed.dest.type === 'w' ? 32 : 64;
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const conditionMet = this.evaluateCondition(parsed.condition);
+        
+        const val1 = parsed.src1 ? this.getRegisterValue(parsed.src1) & mask : 0n;
+        const val2 = parsed.src2 ? this.getRegisterValue(parsed.src2) & mask : 0n;
+        
+        let result;
+        switch (opcode) {
+            case 'csel':
+                result = conditionMet ? val1 : val2;
+                break;
+            case 'csinc':
+                result = conditionMet ? val1 : val2 + 1n;
+                break;
+            case 'csinv':
+                result = conditionMet ? val1 : ~val2;
+                break;
+            case 'csneg':
+                result = conditionMet ? val1 : -val2;
+                break;
+            case 'cset':
+                result = conditionMet ? 1n : 0n;
+                break;
+            case 'csetm':
+                result = conditionMet ? mask : 0n;
+                break;
+            case 'cinc':
+                result = conditionMet ? val1 + 1n : val1;
+                break;
+            case 'cinv':
+                result = conditionMet ? ~val1 : val1;
+                break;
+            case 'cneg':
+                result = conditionMet ? -val1 : val1;
+                break;
+            default:
+                throw new Error(`Unknown conditional select operation: ${opcode}`);
+        }
+        
+        // Conditional selects do NOT modify flags
+        this.setRegisterValue(parsed.dest, result & mask);
+    }
+
+    applyOperandModifier(value, parsed, size) {
+        // Apply the shift (lsl/lsr/asr, and ror for logical operations) or extend (uxt*/sxt* then lsl) of a register operand
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const amount = BigInt(parsed.shiftAmount || 0);
+        
+        if (parsed.extendType) {
+            // Take the low 8/16/32/64 bits, zero- or sign-extend, then shift left
+            const widths = { b: 8, h: 16, w: 32, x: 64 };
+            const width = widths[parsed.extendType[3]];
+            let extended = value & ((1n << BigInt(width)) - 1n);
+            if (parsed.extendType[0] === 's' && (extended >> BigInt(width - 1)) & 1n) {
+                extended -= 1n << BigInt(width);
+            }
+            return (extended << amount) & mask;
+        }
+        
+        if (!parsed.shiftType) {
+            return value;
+        }
+        
+        const operand = value & mask;
+        switch (parsed.shiftType) {
+            case 'lsl':
+                // Logical shift left
+                return (operand << amount) & mask;
+            case 'lsr':
+                // Logical shift right
+                return operand >> amount;
+            case 'asr':
+                // Arithmetic shift right (sign-extending from the operation size)
+                return (this.toSigned(operand, size) >> amount) & mask;
+            case 'ror':
+                // Rotate right within the operation size
+                return ((operand >> amount) | (operand << (BigInt(size) - amount))) & mask;
+            default:
+                throw new Error(`Unknown shift type: ${parsed.shiftType}`);
+        }
+    }
+
     executeLogical(parsed, opcode) {
-        // Logical operations: AND, ANDS, ORR, EOR, BIC
+        // Logical operations: AND, ANDS, ORR, EOR, BIC, and TST (ANDS with the result discarded)
         // and x0, x1, x2
         // and x0, x1, #0xFF
         // and x0, x1, x2, lsl #3
-        if (!parsed.dest || !parsed.src1) {
+        // tst x0, #1
+        if ((!parsed.dest && opcode !== 'tst') || !parsed.src1) {
             throw new Error(`Invalid ${opcode} instruction: missing destination or source register`);
         }
         
@@ -1195,46 +3152,15 @@ class ARM64Simulator {
             val2 = this.getRegisterValue(parsed.src2);
             
             // Apply shift if specified
-            if (parsed.shiftType && parsed.shiftAmount !== undefined) {
-                const shiftAmount = BigInt(parsed.shiftAmount);
-                switch (parsed.shiftType) {
-                    case 'lsl':
-                        // Logical shift left
-                        val2 = val2 << shiftAmount;
-                        break;
-                    case 'lsr':
-                        // Logical shift right
-                        val2 = val2 >> shiftAmount;
-                        break;
-                    case 'asr':
-                        // Arithmetic shift right (sign-extending)
-                        // For BigInt, right shift is arithmetic (sign-extending) by default
-                        // But we need to ensure proper sign extension for the register size
-                        const srcSize = (parsed.src2 && parsed.src2.type === 'w') ? 32 : 64;
-                        const srcMask = srcSize === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
-                        const srcSignBit = srcSize === 64 ? 63 : 31;
-                        
-                        // Sign-extend the value to the proper size first
-                        let signedVal = val2 & srcMask;
-                        if ((signedVal & (1n << BigInt(srcSignBit))) !== 0n) {
-                            // Negative: sign-extend upper bits
-                            signedVal = signedVal | (~srcMask);
-                        }
-                        
-                        // Perform arithmetic shift right (BigInt >> is arithmetic for signed values)
-                        val2 = signedVal >> shiftAmount;
-                        
-                        // Mask to size
-                        val2 = val2 & srcMask;
-                        break;
-                }
-            }
+            const sizeReg = parsed.dest || parsed.src1;
+            val2 = this.applyOperandModifier(val2, parsed, sizeReg.type === 'w' ? 32 : 64);
         } else {
             throw new Error(`Invalid ${opcode} instruction: missing second operand`);
         }
         
-        // Determine result size based on destination register
-        const size = (parsed.dest && parsed.dest.type === 'w') ? 32 : 64;
+        // Determine result size based on destination register (tst has none, so use the first source)
+        const sizeReg = parsed.dest || parsed.src1;
+        const size = (sizeReg && sizeReg.type === 'w') ? 32 : 64;
         const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
         
         // Perform the logical operation
@@ -1242,6 +3168,7 @@ class ARM64Simulator {
         switch (opcode) {
             case 'and':
             case 'ands':
+            case 'tst':
                 result = (val1 & val2) & mask;
                 break;
             case 'orr':
@@ -1258,15 +3185,19 @@ class ARM64Simulator {
                 throw new Error(`Unknown logical operation: ${opcode}`);
         }
         
-        // Write result to destination register
-        this.setRegisterValue(parsed.dest, result);
+        // Write result to destination register (tst only sets flags)
+        if (opcode !== 'tst') {
+            this.setRegisterValue(parsed.dest, result);
+        }
         
-        // Update flags for ANDS only
-        if (opcode === 'ands') {
+        // Update flags for ANDS/TST only
+        if (opcode === 'ands' || opcode === 'tst') {
             const signBit = size === 64 ? 63 : 31;
             this.flags.N = (result & (1n << BigInt(signBit))) !== 0n; // Negative flag
             this.flags.Z = (result & mask) === 0n; // Zero flag
-            // C and V flags are unaffected by logical operations
+            // ANDS always clears C and V
+            this.flags.C = false;
+            this.flags.V = false;
         }
     }
 
@@ -1290,8 +3221,8 @@ class ARM64Simulator {
         const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
         
         if (opcode === 'mvn') {
-            // MVN: bitwise NOT
-            result = (~val1) & mask;
+            // MVN: bitwise NOT of the (optionally shifted) source
+            result = (~this.applyOperandModifier(val1, parsed, size)) & mask;
         } else {
             // Get shift amount
             let shiftAmount = 0n;
@@ -1363,38 +3294,99 @@ class ARM64Simulator {
         // Shift instructions do NOT modify flags
     }
 
-    executeStr(parsed) {
-        if (!parsed.src || !parsed.base) return;
+    executeBitfield(parsed) {
+        // Bitfield move: UBFM, SBFM, BFM (all ubfx/sbfx/bfi/bfxil/ubfiz/sbfiz/sxt*/uxt*
+        // and immediate lsl/lsr/asr are parsed into one of these with immr/imms)
+        // Follows the architectural definition: rotate the source right by immr,
+        // take bits [imms:0] (wmask) of it, and fill the bits above the field (tmask)
+        // with zeros (UBFM), the field's top bit (SBFM) or the old destination (BFM)
+        if (!parsed.dest || !parsed.src1 || !parsed.bitfieldOp) {
+            throw new Error(`Invalid ${parsed.opcode} instruction: missing operands`);
+        }
         
-        const value = this.getRegisterValue(parsed.src);
-        const baseAddr = this.getRegisterValue(parsed.base);
+        const size = parsed.dest.type === 'w' ? 32 : 64;
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const immr = BigInt(parsed.immr);
+        const imms = BigInt(parsed.imms);
+        const bigSize = BigInt(size);
+        
+        const src = this.getRegisterValue(parsed.src1) & mask;
+        const dst = this.getRegisterValue(parsed.dest) & mask;
+        
+        // wmask: imms+1 ones rotated right by immr; tmask: (imms-immr) mod size + 1 ones
+        const welem = (1n << (imms + 1n)) - 1n;
+        const wmask = immr === 0n ? welem : ((welem >> immr) | (welem << (bigSize - immr))) & mask;
+        const d = (imms - immr + bigSize) % bigSize;
+        const tmask = (1n << (d + 1n)) - 1n;
+        
+        const rotated = immr === 0n ? src : ((src >> immr) | (src << (bigSize - immr))) & mask;
+        const keep = parsed.bitfieldOp === 'bfm' ? dst : 0n;
+        const bot = (keep & ~wmask & mask) | (rotated & wmask);
+        
+        let top = keep;
+        if (parsed.bitfieldOp === 'sbfm') {
+            top = ((src >> imms) & 1n) ? mask : 0n;
+        }
         
-        // Calculate effective address based on offset type
-        let offset = 0n;
-        if (parsed.offsetType === 'scaled') {
-            const regValue = this.getRegisterValue(parsed.offsetReg);
-            offset = regValue << BigInt(parsed.shift || 0);
-        } else if (parsed.offsetType === 'register') {
-            offset = this.getRegisterValue(parsed.offsetReg);
-        } else {
-            offset = parsed.offset || 0n;
+        const result = ((top & ~tmask) | (bot & tmask)) & mask;
+        
+        // Bitfield moves do NOT modify flags
+        this.setRegisterValue(parsed.dest, result);
+    }
+
+    executeExtr(parsed) {
+        // EXTR: extract a register-sized field from the concatenation Rn:Rm starting at bit lsb
+        if (!parsed.dest || !parsed.src1 || !parsed.src2) {
+            throw new Error(`Invalid extr instruction: missing operands`);
         }
         
-        const address = baseAddr + offset;
+        const size = parsed.dest.type === 'w' ? 32 : 64;
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const high = this.getRegisterValue(parsed.src1) & mask;
+        const low = this.getRegisterValue(parsed.src2) & mask;
         
-        // Determine size: if src is w register, store 32 bits, else 64 bits
-        const size = (parsed.src && parsed.src.type === 'w') ? 4 : 8;
-        this.writeMemory(address, value, size);
-        for (let i = 0; i < size; i++) {
-            this.changedMemory.add(Number(address) + i);
+        const concatenated = (high << BigInt(size)) | low;
+        this.setRegisterValue(parsed.dest, (concatenated >> parsed.immediate) & mask);
+    }
+
+    getLoadStoreSize(opcode, reg) {
+        // Access size in bytes, from the opcode suffix or (for plain ldr/str) the register width
+        switch (opcode) {
+            case 'ldrb':
+            case 'ldrsb':
+            case 'strb':
+                return 1;
+            case 'ldrh':
+            case 'ldrsh':
+            case 'strh':
+                return 2;
+            case 'ldrsw':
+            case 'ldpsw':
+                return 4;
+            default:
+                return (reg && (reg.type === 'w' || reg.type === 's')) ? 4 : 8;
         }
     }
 
-    executeLdr(parsed) {
-        if (!parsed.dest || !parsed.base) return;
+    getEffectiveAddress(parsed) {
+        // Literal loads read from a fixed address: a literal pool entry or a label
+        if (parsed.literal !== undefined) {
+            if (parsed.literalAddress === undefined) {
+                throw new Error(`Literal pool entry for '=${parsed.literal}' has not been placed`);
+            }
+            return parsed.literalAddress;
+        }
+        if (parsed.label !== undefined) {
+            return this.resolveTarget(parsed);
+        }
         
         const baseAddr = this.getRegisterValue(parsed.base);
         
+        // Post-index accesses the unmodified base; the offset is applied afterwards
+        if (parsed.writeback === 'post') {
+            return baseAddr;
+        }
+        
         // Calculate effective address based on offset type
         let offset = 0n;
         if (parsed.offsetType === 'scaled') {
@@ -1406,15 +3398,116 @@ class ARM64Simulator {
             offset = parsed.offset || 0n;
         }
         
-        const address = baseAddr + offset;
+        return baseAddr + offset;
+    }
+
+    applyWriteback(parsed, address) {
+        // Update the base register after a pre- or post-indexed access
+        if (!parsed.writeback) return;
+        
+        const newBase = parsed.writeback === 'pre'
+            ? address
+            : this.getRegisterValue(parsed.base) + (parsed.offset || 0n);
+        
+        if (parsed.base === 'sp' && newBase % 16n !== 0n) {
+            throw new Error(`Stack pointer must remain 16-byte aligned. New SP would be: 0x${newBase.toString(16)}`);
+        }
+        
+        const oldBase = this.getRegisterValue(parsed.base);
+        this.setRegisterValue(parsed.base, newBase);
+        
+        // Writeback to SP allocates or frees a stack frame, just like sub/add sp
+        if (parsed.base === 'sp') {
+            if (newBase < oldBase) {
+                this.createStackFrame(Number(newBase), Number(oldBase - newBase));
+            } else if (newBase > oldBase) {
+                this.destroyStackFrame(Number(newBase), Number(newBase - oldBase));
+            }
+        }
+    }
+
+    executeStr(parsed) {
+        if (!parsed.src || !parsed.base) return;
+        
+        const value = this.getRegisterValue(parsed.src);
+        const address = this.getEffectiveAddress(parsed);
+        
+        // strb/strh store the low byte/halfword; str stores 32 bits for w, 64 bits for x
+        const size = this.getLoadStoreSize(parsed.opcode, parsed.src);
+        this.writeMemory(address, value, size);
+        for (let i = 0; i < size; i++) {
+            this.changedMemory.add(Number(address) + i);
+        }
+        
+        this.applyWriteback(parsed, address);
+    }
+
+    executeLdr(parsed) {
+        if (!parsed.dest || (!parsed.base && parsed.literal === undefined && parsed.label === undefined)) return;
+        
+        const address = this.getEffectiveAddress(parsed);
+        
+        // ldrb/ldrh zero-extend, ldrsb/ldrsh/ldrsw sign-extend, ldr loads 32 bits for w, 64 bits for x
+        const size = this.getLoadStoreSize(parsed.opcode, parsed.dest);
+        const bits = BigInt(size * 8);
+        let value = this.readMemory(address, size) & ((1n << bits) - 1n);
+        
+        if (parsed.opcode === 'ldrsb' || parsed.opcode === 'ldrsh' || parsed.opcode === 'ldrsw') {
+            // Sign-extend to 64 bits; a w destination keeps only the low 32 bits
+            if (value & (1n << (bits - 1n))) {
+                value = (value - (1n << bits)) & 0xFFFFFFFFFFFFFFFFn;
+            }
+        }
         
-        // Determine size: if dest is w register, load 32 bits, else 64 bits
-        const size = (parsed.dest && parsed.dest.type === 'w') ? 4 : 8;
-        const value = this.readMemory(address, size);
         this.setRegisterValue(parsed.dest, value);
         for (let i = 0; i < size; i++) {
             this.changedMemory.add(Number(address) + i);
         }
+        
+        this.applyWriteback(parsed, address);
+    }
+
+    executeStp(parsed) {
+        if (!parsed.src || !parsed.src2 || !parsed.base) return;
+        
+        const address = this.getEffectiveAddress(parsed);
+        const size = this.getLoadStoreSize(parsed.opcode, parsed.src);
+        
+        // Read both registers before writing, first register goes to the lower address
+        const value1 = this.getRegisterValue(parsed.src);
+        const value2 = this.getRegisterValue(parsed.src2);
+        this.writeMemory(address, value1, size);
+        this.writeMemory(address + BigInt(size), value2, size);
+        for (let i = 0; i < size * 2; i++) {
+            this.changedMemory.add(Number(address) + i);
+        }
+        
+        this.applyWriteback(parsed, address);
+    }
+
+    executeLdp(parsed) {
+        if (!parsed.dest || !parsed.dest2 || !parsed.base) return;
+        
+        const address = this.getEffectiveAddress(parsed);
+        const size = this.getLoadStoreSize(parsed.opcode, parsed.dest);
+        const bits = BigInt(size * 8);
+        
+        // Read both values before writing registers, so a destination that is also the base still loads correctly
+        const values = [address, address + BigInt(size)].map(addr => {
+            let value = this.readMemory(addr, size) & ((1n << bits) - 1n);
+            if (parsed.opcode === 'ldpsw' && (value & (1n << (bits - 1n)))) {
+                value = (value - (1n << bits)) & 0xFFFFFFFFFFFFFFFFn;
+            }
+            return value;
+        });
+        
+        this.setRegisterValue(parsed.dest, values[0]);
+        this.setRegisterValue(parsed.dest2, values[1]);
+        for (let i = 0; i < size * 2; i++) {
+            this.changedMemory.add(Number(address) + i);
+        }
+        
+        this.applyWriteback(parsed, address);
     }
 
     getMemoryRegion(address) {
@@ -1430,13 +3523,13 @@ class ARM64Simulator {
     validateMemoryAccess(address, size, isWrite) {
         const addr = BigInt(address);
         
-        // Check zero page access
-        if (addr === 0n || (addr < 0x00100000n && addr > 0n)) {
+        // Check zero page access (everything below the Text region is unmapped)
+        if (addr < this.memoryLayout.text.start) {
             throw new Error(`Zero page access forbidden: 0x${addr.toString(16)}`);
         }
         
         // Check bounds
-        if (addr < 0x00100000n || addr + BigInt(size - 1) > 0x07FFFFFFn) {
+        if (addr + BigInt(size - 1) > 0x07FFFFFFn) {
             throw new Error(`Memory access out of bounds: 0x${addr.toString(16)}`);
         }
         
@@ -1464,8 +3557,12 @@ class ARM64Simulator {
             throw new Error(`Memory access crosses region boundary: 0x${addr.toString(16)} to 0x${endAddr.toString(16)}`);
         }
         
-        // Check read-only
-        if (isWrite && region.readonly) {
+        // Check read-only; a loaded ELF segment has its own permissions
+        const segment = this.findSegment(addr);
+        if (isWrite && segment && !segment.writable) {
+            throw new Error(`Write to read-only segment (${segment.name}) at 0x${addr.toString(16)}`);
+        }
+        if (isWrite && !segment && region.readonly) {
             throw new Error(`Write to read-only region (${region.name}) at 0x${addr.toString(16)}`);
         }
         
@@ -1496,6 +3593,16 @@ class ARM64Simulator {
         return region;
     }
 
+    findSegment(address) {
+        // The loaded ELF segment containing address, or null
+        for (const segment of this.segments) {
+            if (address >= segment.start && address <= segment.end) {
+                return segment;
+            }
+        }
+        return null;
+    }
+
     writeMemory(address, value, size = 8, skipReadonlyCheck = false) {
         // Validate access (but allow skipping readonly check during initialization)
         if (!skipReadonlyCheck) {
@@ -1504,13 +3611,13 @@ class ARM64Simulator {
             // Still validate bounds and other checks, but skip readonly
             const addr = BigInt(address);
             
-            // Check zero page access
-            if (addr === 0n || (addr < 0x00100000n && addr > 0n)) {
+            // Check zero page access (everything below the Text region is unmapped)
+            if (addr < this.memoryLayout.text.start) {
                 throw new Error(`Zero page access forbidden: 0x${addr.toString(16)}`);
             }
             
             // Check bounds
-            if (addr < 0x00100000n || addr + BigInt(size - 1) > 0x07FFFFFFn) {
+            if (addr + BigInt(size - 1) > 0x07FFFFFFn) {
                 throw new Error(`Memory access out of bounds: 0x${addr.toString(16)}`);
             }
             
@@ -1534,6 +3641,9 @@ class ARM64Simulator {
             const byte = Number((value >> BigInt(i * 8)) & 0xFFn);
             this.memory.set(addr + i, byte);
         }
+        if (!skipReadonlyCheck) {
+            this.markPagesWritten(BigInt(address), BigInt(address) + BigInt(size - 1));
+        }
     }
 
     readMemory(address, size = 8) {
@@ -1555,59 +3665,144 @@ class ARM64Simulator {
     }
 
     async step() {
-        if (this.currentInstructionIndex >= this.instructions.length) {
+        if (this.isFinished()) {
             return false;
         }
 
-        const instruction = this.instructions[this.currentInstructionIndex];
-        if (!instruction || !instruction.parsed) {
-            // Skip invalid instructions
-            this.currentInstructionIndex++;
-            // Update PC to next instruction
-            if (this.currentInstructionIndex < this.instructions.length) {
-                const nextInstruction = this.instructions[this.currentInstructionIndex];
-                this.registers.pc = nextInstruction.address || BigInt(this.currentInstructionIndex * 4);
+        // PC holds the address of the instruction being executed, not the next one
+        const instructionAddress = this.registers.pc;
+        this.executedInstructionCount++;
+        this.breakpoint = null;
+        
+        // blr/br to a library stub (e.g. through a function pointer) runs the built-in and returns to x30
+        const libraryFunction = this.findLibraryStub(instructionAddress);
+        if (libraryFunction) {
+            if (['exit', '_exit', 'abort'].includes(libraryFunction)) {
+                this.terminate(libraryFunction === 'abort' ? 134n : this.registers.x0);
+                return false;
             }
-            return true;
+            await this.executeBuiltInFunctionSync(libraryFunction);
+            this.registers.pc = this.registers.x30;
+            this.currentInstructionIndex = this.findInstructionIndexByAddress(this.registers.pc);
+            return !this.isFinished();
         }
         
-        // CRITICAL: Set PC to the address of the CURRENT instruction BEFORE execution
-        // PC must hold the address of the instruction being executed, not the next one
-        // This is required for ARM64: PC points to the instruction currently being executed
-        const instructionAddress = instruction.address || BigInt(this.currentInstructionIndex * 4);
-        this.registers.pc = instructionAddress;
-        
+        // Fetch and decode the word at PC, so code rewritten in memory runs as it now is.
         // executeInstruction will:
-        // 1. Use instructionAddress for PC-relative operations (ADR, ADRP)
+        // 1. Use instruction.address for PC-relative operations (ADR, ADRP)
         // 2. Update PC after execution (either +4 for next instruction, or branch target)
         // 3. Update currentInstructionIndex based on the new PC
         // 4. Return false if program should end (e.g., ret from _start/main)
+        const instruction = this.fetchInstruction(instructionAddress);
         const shouldContinue = await this.executeInstruction(instruction);
         if (!shouldContinue) {
             // Program ended
             return false;
         }
         
-        // Check if we've reached the end of instructions
-        if (this.currentInstructionIndex >= this.instructions.length) {
-            return false; // End of program
+        // Running off the end of the code (or to PC 0) ends the program
+        return !this.isFinished();
+    }
+
+    fetchInstruction(address) {
+        // Read the 32-bit word at address and decode it; unmapped addresses fault like any load
+        const hex = (address & 0xFFFFFFFFFFFFFFFFn).toString(16).toUpperCase().padStart(8, '0');
+        if (address & 3n) {
+            throw new Error(`Instruction fetch from unaligned address 0x${hex}`);
         }
-        
-        // Check if PC is 0 (invalid/end state)
-        if (this.registers.pc === 0n) {
-            return false; // End of program
+        const word = Number(this.readMemory(address, 4) & 0xFFFFFFFFn);
+        const segment = this.findSegment(address);
+        if (segment && !segment.executable) {
+            throw new Error(`Instruction fetch from non-executable segment (${segment.name}) at 0x${hex}`);
         }
-        
-        // currentInstructionIndex is already updated by executeInstruction
-        return true;
+        const instruction = this.decoder.decode(word, address);
+        if (!instruction.parsed) {
+            const reason = instruction.error ? `: ${instruction.error}` : '';
+            throw new Error(`Cannot decode instruction 0x${this.decoder.hex32(word)} at 0x${hex}${reason}`);
+        }
+        return instruction;
+    }
+
+    findLibraryStub(address) {
+        // Name of the library function whose stub slot is at address, or null
+        for (const [name, stubAddress] of this.libraryStubs) {
+            if (stubAddress === address) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    isFinished() {
+        // The program has exited, branched to address 0, or fallen through its last instruction
+        // (branchToAddress rejects computed targets there, so only running off the end gets there)
+        if (this.exitStatus !== null || this.instructions.length === 0 || this.registers.pc === 0n) {
+            return true;
+        }
+        const pc = this.registers.pc;
+        const lastAddress = this.instructions[this.instructions.length - 1].address;
+        return pc === lastAddress + 4n && !this.findLibraryStub(pc);
     }
 
 
+    async run(maxInstructions = 1000000) {
+        // Run to completion without the UI; returns the exit status,
+        // or null if the program ran off the end of its code without exiting.
+        // brk/hlt only pause the UI, so they do not stop this loop.
+        let executed = 0;
+        while (await this.step()) {
+            if (++executed >= maxInstructions) {
+                throw new Error(`Program did not finish within ${maxInstructions} instructions`);
+            }
+        }
+        return this.exitStatus;
+    }
+
     getCurrentInstruction() {
-        if (this.currentInstructionIndex < this.instructions.length) {
-            return this.instructions[this.currentInstructionIndex];
+        // The instruction at PC as it is in memory: the assembled source line while its word
+        // is unchanged, otherwise the disassembly of whatever is there now
+        if (this.isFinished()) {
+            return null;
         }
-        return null;
+        const pc = this.registers.pc;
+        try {
+            const word = Number(this.readMemory(pc, 4) & 0xFFFFFFFFn);
+            const index = this.findExactInstructionIndex(pc);
+            if (index !== -1 && this.instructions[index].encoding === word) {
+                return this.instructions[index];
+            }
+            return this.decoder.decode(word, pc);
+        } catch (e) {
+            return null; // PC is not in mapped memory; the next step will fault
+        }
+    }
+
+    disassemble(address, count) {
+        // Decode count words of memory starting at address, stopping at unmapped memory
+        const instructions = [];
+        for (let i = 0; i < count; i++) {
+            const wordAddress = address + BigInt(i * 4);
+            let word;
+            try {
+                word = Number(this.readMemory(wordAddress, 4) & 0xFFFFFFFFn);
+            } catch (e) {
+                break;
+            }
+            instructions.push(this.decoder.decode(word, wordAddress));
+        }
+        return instructions;
+    }
+
+    resolveTarget(parsed) {
+        // Absolute address of a PC-relative operand: decoded instructions carry it,
+        // assembled ones name a label
+        if (parsed.target !== undefined) {
+            return parsed.target;
+        }
+        if (!this.symbolTable.has(parsed.label)) {
+            throw new Error(`Label '${parsed.label}' not found`);
+        }
+        return this.symbolTable.get(parsed.label).address;
     }
 
     getMemoryAtAddress(address) {
@@ -1839,17 +4034,11 @@ class ARM64Simulator {
             throw new Error(`Invalid adr instruction: missing destination or label`);
         }
         
-        // Look up label in symbol table
-        if (!this.symbolTable.has(parsed.label)) {
-            throw new Error(`Label '${parsed.label}' not found`);
-        }
-        
-        const labelInfo = this.symbolTable.get(parsed.label);
-        const labelAddr = labelInfo.address;
+        const labelAddr = this.resolveTarget(parsed);
         
         // ADR returns the exact absolute address of the label
         // Check bounds
-        if (labelAddr < 0x00100000n && labelAddr > 0n) {
+        if (labelAddr < this.memoryLayout.text.start) {
             throw new Error(`ADR result in zero page: 0x${labelAddr.toString(16)}`);
         }
         
@@ -1861,19 +4050,13 @@ class ARM64Simulator {
             throw new Error(`Invalid adrp instruction: missing destination or label`);
         }
         
-        // Look up label in symbol table
-        if (!this.symbolTable.has(parsed.label)) {
-            throw new Error(`Label '${parsed.label}' not found`);
-        }
-        
-        const labelInfo = this.symbolTable.get(parsed.label);
-        const labelAddr = labelInfo.address;
+        const labelAddr = this.resolveTarget(parsed);
         
         // ADRP returns the page-aligned address (upper 52 bits, lower 12 bits cleared)
         const result = labelAddr & ~0xFFFn;
         
         // Check bounds
-        if (result < 0x00100000n && result > 0n) {
+        if (result < this.memoryLayout.text.start) {
             throw new Error(`ADRP result in zero page: 0x${result.toString(16)}`);
         }
         
@@ -1924,17 +4107,17 @@ class ARM64Simulator {
         const val1 = this.getRegisterValue(parsed.src1);
         let val2;
         
-        // Get second operand
+        // Determine register size
+        const size = (parsed.src1 && parsed.src1.type === 'w') ? 32 : 64;
+        
+        // Get second operand (register operands may be shifted or extended)
         if (parsed.immediate !== undefined) {
             val2 = parsed.immediate;
         } else if (parsed.src2) {
-            val2 = this.getRegisterValue(parsed.src2);
+            val2 = this.applyOperandModifier(this.getRegisterValue(parsed.src2), parsed, size);
         } else {
             throw new Error(`Invalid ${operation} instruction: missing second operand`);
         }
-        
-        // Determine register size
-        const size = (parsed.src1 && parsed.src1.type === 'w') ? 32 : 64;
         const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
         const signBit = size === 64 ? 63 : 31;
         const signMask = 1n << BigInt(signBit);
@@ -2000,38 +4183,315 @@ class ARM64Simulator {
         // Z (Zero): result is zero
         this.flags.Z = (result & mask) === 0n;
         
-        // C (Carry/Borrow): depends on operation
-        if (operation === 'add') {
-            // For ADD/ADDS/CMN: C=1 on unsigned overflow (result < val1)
-            // This means the addition wrapped around
-            this.flags.C = result < maskedVal1;
-        } else { // 'sub'
-            // For SUB/SUBS/CMP: C=1 when no borrow (val1 >= val2 in unsigned sense)
-            // C=0 when borrow occurs (val1 < val2)
-            this.flags.C = maskedVal1 >= maskedVal2;
+        // C and V: subtraction is addition of the inverted operand with carry-in 1
+        // (so C=1 means no borrow), exactly as the hardware computes it
+        const carryOut = operation === 'add'
+            ? this.addWithCarry(maskedVal1, maskedVal2, 0n, size)
+            : this.addWithCarry(maskedVal1, (~maskedVal2) & mask, 1n, size);
+        this.flags.C = carryOut.C;
+        this.flags.V = carryOut.V;
+    }
+
+    addWithCarry(val1, val2, carryIn, size) {
+        // The architectural AddWithCarry: val1 + val2 + carryIn on size-bit operands
+        // C (Carry): the unsigned sum does not fit in size bits
+        // V (oVerflow): the signed sum does not fit in size bits
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const unsignedSum = (val1 & mask) + (val2 & mask) + carryIn;
+        const result = unsignedSum & mask;
+        const signedSum = this.toSigned(val1 & mask, size) + this.toSigned(val2 & mask, size) + carryIn;
+        
+        return {
+            result: result,
+            C: unsignedSum !== result,
+            V: signedSum !== this.toSigned(result, size)
+        };
+    }
+
+    executeConditionalCompare(parsed, opcode) {
+        // CCMP/CCMN: if the condition holds, set flags from cmp/cmn of the operands,
+        // otherwise set NZCV directly from the 4-bit immediate
+        if (this.evaluateCondition(parsed.condition)) {
+            this.executeArithmeticWithFlags(parsed, opcode === 'ccmp' ? 'sub' : 'add', false);
+        } else {
+            this.flags.N = (parsed.nzcv & 0b1000) !== 0;
+            this.flags.Z = (parsed.nzcv & 0b0100) !== 0;
+            this.flags.C = (parsed.nzcv & 0b0010) !== 0;
+            this.flags.V = (parsed.nzcv & 0b0001) !== 0;
+        }
+    }
+
+    executeAddWithCarry(parsed, opcode) {
+        // ADC/ADCS: Rd = Rn + Rm + C
+        // SBC/SBCS: Rd = Rn + ~Rm + C      (Rn - Rm - !C)
+        // NGC/NGCS: Rd = 0 + ~Rm + C       (SBC with Rn = zero register)
+        // NEG/NEGS: Rd = 0 + ~Rm + 1       (SUB with Rn = zero register)
+        // The "s" forms set NZCV from the same AddWithCarry used by adds/subs/cmp
+        if (!parsed.dest || !parsed.src2) {
+            throw new Error(`Invalid ${opcode} instruction: missing operands`);
         }
         
-        // V (Overflow): signed overflow in two's complement
-        if (operation === 'add') {
-            // Overflow in addition occurs when:
-            // - Both operands have the same sign (both positive or both negative)
-            // - AND the result has a different sign
-            const val1Negative = (maskedVal1 & signMask) !== 0n;
-            const val2Negative = (maskedVal2 & signMask) !== 0n;
-            const resultNegative = (result & signMask) !== 0n;
-            
-            // Overflow: (both positive && result negative) OR (both negative && result positive)
-            this.flags.V = (val1Negative === val2Negative) && (resultNegative !== val1Negative);
-        } else { // 'sub'
-            // Overflow in subtraction occurs when:
-            // - Operands have different signs (val1 negative != val2 negative)
-            // - AND the result has a different sign than val1
-            const val1Negative = (maskedVal1 & signMask) !== 0n;
-            const val2Negative = (maskedVal2 & signMask) !== 0n;
-            const resultNegative = (result & signMask) !== 0n;
-            
-            // Overflow: (different signs) && (result sign != val1 sign)
-            this.flags.V = (val1Negative !== val2Negative) && (resultNegative !== val1Negative);
+        const size = parsed.dest.type === 'w' ? 32 : 64;
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        
+        const val1 = parsed.src1 ? this.getRegisterValue(parsed.src1) & mask : 0n;
+        const val2 = this.applyOperandModifier(this.getRegisterValue(parsed.src2), parsed, size) & mask;
+        const baseOp = opcode.replace(/s$/, '');
+        
+        let sum;
+        if (baseOp === 'adc') {
+            sum = this.addWithCarry(val1, val2, this.flags.C ? 1n : 0n, size);
+        } else if (baseOp === 'neg') {
+            sum = this.addWithCarry(0n, (~val2) & mask, 1n, size);
+        } else {
+            // sbc / ngc
+            sum = this.addWithCarry(val1, (~val2) & mask, this.flags.C ? 1n : 0n, size);
+        }
+        
+        this.setRegisterValue(parsed.dest, sum.result);
+        
+        if (opcode !== baseOp) {
+            this.flags.N = (sum.result & (1n << BigInt(size - 1))) !== 0n;
+            this.flags.Z = sum.result === 0n;
+            this.flags.C = sum.C;
+            this.flags.V = sum.V;
+        }
+    }
+
+    executeBitManipulation(parsed, opcode) {
+        // CLZ, CLS, RBIT, REV, REV16, REV32 - none of these modify flags
+        if (!parsed.dest || !parsed.src1) {
+            throw new Error(`Invalid ${opcode} instruction: missing operands`);
+        }
+        
+        const size = parsed.dest.type === 'w' ? 32 : 64;
+        const mask = size === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+        const value = this.getRegisterValue(parsed.src1) & mask;
+        
+        // Reverse the byte order inside each chunk of chunkBytes bytes
+        const reverseBytes = (val, chunkBytes) => {
+            let out = 0n;
+            for (let chunk = 0; chunk < size / 8; chunk += chunkBytes) {
+                for (let i = 0; i < chunkBytes; i++) {
+                    const byte = (val >> BigInt((chunk + i) * 8)) & 0xFFn;
+                    out |= byte << BigInt((chunk + chunkBytes - 1 - i) * 8);
+                }
+            }
+            return out;
+        };
+        
+        let result;
+        switch (opcode) {
+            case 'clz': {
+                // Count leading zero bits
+                let count = 0;
+                for (let bit = size - 1; bit >= 0 && ((value >> BigInt(bit)) & 1n) === 0n; bit--) {
+                    count++;
+                }
+                result = BigInt(count);
+                break;
+            }
+            case 'cls': {
+                // Count leading bits below the sign bit that equal the sign bit
+                const signBit = (value >> BigInt(size - 1)) & 1n;
+                let count = 0;
+                for (let bit = size - 2; bit >= 0 && ((value >> BigInt(bit)) & 1n) === signBit; bit--) {
+                    count++;
+                }
+                result = BigInt(count);
+                break;
+            }
+            case 'rbit': {
+                // Reverse bit order
+                result = 0n;
+                for (let bit = 0; bit < size; bit++) {
+                    if ((value >> BigInt(bit)) & 1n) {
+                        result |= 1n << BigInt(size - 1 - bit);
+                    }
+                }
+                break;
+            }
+            case 'rev':
+                result = reverseBytes(value, size / 8);
+                break;
+            case 'rev16':
+                result = reverseBytes(value, 2);
+                break;
+            case 'rev32':
+                result = reverseBytes(value, 4);
+                break;
+            default:
+                throw new Error(`Unknown bit manipulation operation: ${opcode}`);
+        }
+        
+        this.setRegisterValue(parsed.dest, result & mask);
+    }
+
+    // Floating-point helpers: FP values live in registers as raw IEEE-754 bits
+    fpBitsToNumber(bits, size) {
+        const view = new DataView(new ArrayBuffer(8));
+        if (size === 32) {
+            view.setUint32(0, Number(bits & 0xFFFFFFFFn));
+            return view.getFloat32(0);
+        }
+        view.setBigUint64(0, bits & 0xFFFFFFFFFFFFFFFFn);
+        return view.getFloat64(0);
+    }
+
+    numberToFpBits(value, size) {
+        // Rounds to nearest-even when narrowing to single precision
+        const view = new DataView(new ArrayBuffer(8));
+        if (size === 32) {
+            view.setFloat32(0, value);
+            return BigInt(view.getUint32(0));
+        }
+        view.setFloat64(0, value);
+        return view.getBigUint64(0);
+    }
+
+    integerToFloat(value, size) {
+        // Correctly rounded integer -> FP conversion. Number() rounds a BigInt to
+        // double exactly once; for single precision round straight to 24 bits so a
+        // large 64-bit integer is not rounded twice (to double, then to float).
+        if (size === 64) {
+            return Number(value);
+        }
+        const negative = value < 0n;
+        let magnitude = negative ? -value : value;
+        const bitLength = magnitude.toString(2).length;
+        if (bitLength > 24) {
+            const drop = BigInt(bitLength - 24);
+            const remainder = magnitude & ((1n << drop) - 1n);
+            const half = 1n << (drop - 1n);
+            magnitude >>= drop;
+            if (remainder > half || (remainder === half && (magnitude & 1n))) {
+                magnitude += 1n;
+            }
+            magnitude <<= drop;
+        }
+        return negative ? -Number(magnitude) : Number(magnitude);
+    }
+
+    isFPImmediateEncodable(value) {
+        // fmov immediates are ±n/16 × 2^r, n = 16..31, r = -3..4; #0.0 is accepted as well
+        if (value === 0) return true;
+        const magnitude = Math.abs(value);
+        for (let r = -3; r <= 4; r++) {
+            const n = magnitude * 16 / Math.pow(2, r);
+            if (Number.isInteger(n) && n >= 16 && n <= 31) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    executeFPArithmetic(parsed, opcode) {
+        // FADD, FSUB, FMUL, FDIV, FSQRT on S or D registers; FABS/FNEG only touch the sign bit.
+        // Single precision is computed in double and rounded once: double has more than
+        // 2 × 24 + 2 bits of precision, so the result is the correctly rounded float.
+        const size = parsed.dest.type === 's' ? 32 : 64;
+        const signBit = 1n << BigInt(size - 1);
+        const bits1 = this.getRegisterValue(parsed.src1);
+        
+        if (opcode === 'fabs') {
+            this.setRegisterValue(parsed.dest, bits1 & ~signBit);
+            return;
+        }
+        if (opcode === 'fneg') {
+            this.setRegisterValue(parsed.dest, bits1 ^ signBit);
+            return;
+        }
+        
+        const a = this.fpBitsToNumber(bits1, size);
+        const b = parsed.src2 ? this.fpBitsToNumber(this.getRegisterValue(parsed.src2), size) : 0;
+        let result;
+        switch (opcode) {
+            case 'fadd': result = a + b; break;
+            case 'fsub': result = a - b; break;
+            case 'fmul': result = a * b; break;
+            case 'fdiv': result = a / b; break;
+            case 'fsqrt': result = Math.sqrt(a); break;
+            default:
+                throw new Error(`Unknown floating-point operation: ${opcode}`);
+        }
+        
+        this.setRegisterValue(parsed.dest, this.numberToFpBits(result, size));
+    }
+
+    executeFmov(parsed) {
+        if (parsed.fpImmediate !== undefined) {
+            const size = parsed.dest.type === 's' ? 32 : 64;
+            this.setRegisterValue(parsed.dest, this.numberToFpBits(parsed.fpImmediate, size));
+            return;
+        }
+        // Register moves copy the bits unchanged (no conversion)
+        const mask = (parsed.src1.type === 's' || parsed.src1.type === 'w') ? 0xFFFFFFFFn : 0xFFFFFFFFFFFFFFFFn;
+        this.setRegisterValue(parsed.dest, this.getRegisterValue(parsed.src1) & mask);
+    }
+
+    executeFcmp(parsed) {
+        // NZCV: equal 0110, less than 1000, greater than 0010, unordered (a NaN operand) 0011
+        const size = parsed.src1.type === 's' ? 32 : 64;
+        const a = this.fpBitsToNumber(this.getRegisterValue(parsed.src1), size);
+        const b = parsed.src2 ? this.fpBitsToNumber(this.getRegisterValue(parsed.src2), size) : 0;
+        
+        if (isNaN(a) || isNaN(b)) {
+            this.flags = { N: false, Z: false, C: true, V: true };
+        } else if (a === b) {
+            this.flags = { N: false, Z: true, C: true, V: false };
+        } else if (a < b) {
+            this.flags = { N: true, Z: false, C: false, V: false };
+        } else {
+            this.flags = { N: false, Z: false, C: true, V: false };
+        }
+    }
+
+    executeFPConvert(parsed, opcode) {
+        const srcSize = (parsed.src1.type === 's' || parsed.src1.type === 'w') ? 32 : 64;
+        const destSize = (parsed.dest.type === 's' || parsed.dest.type === 'w') ? 32 : 64;
+        
+        switch (opcode) {
+            case 'fcvt': {
+                // Widening is exact; narrowing rounds to nearest-even
+                const value = this.fpBitsToNumber(this.getRegisterValue(parsed.src1), srcSize);
+                this.setRegisterValue(parsed.dest, this.numberToFpBits(value, destSize));
+                break;
+            }
+            case 'fcvtzs':
+            case 'fcvtzu': {
+                // Round toward zero and saturate to the destination range; NaN converts to 0
+                const value = this.fpBitsToNumber(this.getRegisterValue(parsed.src1), srcSize);
+                const signed = opcode === 'fcvtzs';
+                const min = signed ? -(1n << BigInt(destSize - 1)) : 0n;
+                const max = signed ? (1n << BigInt(destSize - 1)) - 1n : (1n << BigInt(destSize)) - 1n;
+                let result;
+                if (isNaN(value)) {
+                    result = 0n;
+                } else if (value === Infinity) {
+                    result = max;
+                } else if (value === -Infinity) {
+                    result = min;
+                } else {
+                    result = BigInt(Math.trunc(value));
+                    if (result < min) result = min;
+                    if (result > max) result = max;
+                }
+                const mask = destSize === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+                this.setRegisterValue(parsed.dest, result & mask);
+                break;
+            }
+            case 'scvtf':
+            case 'ucvtf': {
+                const mask = srcSize === 64 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+                let value = this.getRegisterValue(parsed.src1) & mask;
+                if (opcode === 'scvtf') {
+                    value = this.toSigned(value, srcSize);
+                }
+                this.setRegisterValue(parsed.dest, this.numberToFpBits(this.integerToFloat(value, destSize), destSize));
+                break;
+            }
+            default:
+                throw new Error(`Unknown floating-point conversion: ${opcode}`);
         }
     }
 
@@ -2094,18 +4554,31 @@ class ARM64Simulator {
         return value;
     }
 
+    // Condition codes shared by conditional branches and conditional selects (see CONDITION_CODES)
+    isValidCondition(condition) {
+        return Object.prototype.hasOwnProperty.call(CONDITION_CODES, condition);
+    }
+
+    isConditionalBranch(opcode) {
+        // beq, bne, bcs, ... (b.eq is normalized to beq by parseInstruction)
+        return opcode.length > 1 && opcode[0] === 'b' && this.isValidCondition(opcode.substring(1));
+    }
+
+    evaluateCondition(condition) {
+        // Evaluate a condition code against the current NZCV flags
+        if (!this.isValidCondition(condition)) {
+            throw new Error(`Unknown condition: ${condition}`);
+        }
+        return CONDITION_CODES[condition].test(this.flags);
+    }
+
     // Branch instructions
     executeB(parsed) {
         if (!parsed.label) {
             throw new Error(`Invalid b instruction: missing label`);
         }
         
-        if (!this.symbolTable.has(parsed.label)) {
-            throw new Error(`Label '${parsed.label}' not found`);
-        }
-        
-        const labelInfo = this.symbolTable.get(parsed.label);
-        this.registers.pc = labelInfo.address;
+        this.registers.pc = this.resolveTarget(parsed);
         this.currentInstructionIndex = this.findInstructionIndexByAddress(this.registers.pc);
         return true; // PC modified
     }
@@ -2115,36 +4588,15 @@ class ARM64Simulator {
             throw new Error(`Invalid ${opcode} instruction: missing label`);
         }
         
-        // Extract condition (e.g., "eq", "ne", "lt", "ge") - opcode is "beq", "bne", etc. (no dot)
+        // Extract condition (e.g., "eq", "ne", "lt", "ge") - opcode is "beq", "bne", etc. (b.eq is normalized to beq)
         const condition = opcode.substring(1); // Remove "b" from "beq" -> "eq"
         
         // Evaluate condition based on NZCV flags
-        let conditionMet = false;
-        
-        switch (condition) {
-            case 'eq': conditionMet = this.flags.Z; break;
-            case 'ne': conditionMet = !this.flags.Z; break;
-            case 'lt': conditionMet = this.flags.N !== this.flags.V; break;
-            case 'le': conditionMet = this.flags.Z || (this.flags.N !== this.flags.V); break;
-            case 'gt': conditionMet = !this.flags.Z && (this.flags.N === this.flags.V); break;
-            case 'ge': conditionMet = this.flags.N === this.flags.V; break;
-            case 'lo': conditionMet = !this.flags.C; break; // Unsigned <
-            case 'ls': conditionMet = !this.flags.C || this.flags.Z; break; // Unsigned <=
-            case 'hi': conditionMet = this.flags.C && !this.flags.Z; break; // Unsigned >
-            case 'hs': conditionMet = this.flags.C; break; // Unsigned >=
-            case 'mi': conditionMet = this.flags.N; break; // Negative
-            case 'pl': conditionMet = !this.flags.N; break; // Positive or zero
-            default:
-                throw new Error(`Unknown branch condition: ${condition}`);
-        }
+        const conditionMet = this.evaluateCondition(condition);
         
         if (conditionMet) {
             // Branch taken
-            if (!this.symbolTable.has(parsed.label)) {
-                throw new Error(`Label '${parsed.label}' not found`);
-            }
-            const labelInfo = this.symbolTable.get(parsed.label);
-            this.registers.pc = labelInfo.address;
+            this.registers.pc = this.resolveTarget(parsed);
             this.currentInstructionIndex = this.findInstructionIndexByAddress(this.registers.pc);
             return true; // PC modified
         } else {
@@ -2163,26 +4615,105 @@ class ARM64Simulator {
         const shouldBranch = (opcode === 'cbz' && isZero) || (opcode === 'cbnz' && !isZero);
         
         if (shouldBranch) {
-            if (!this.symbolTable.has(parsed.label)) {
-                throw new Error(`Label '${parsed.label}' not found`);
-            }
-            const labelInfo = this.symbolTable.get(parsed.label);
-            this.registers.pc = labelInfo.address;
-            this.currentInstructionIndex = this.findInstructionIndexByAddress(this.registers.pc);
-            return true; // PC modified
+            return this.branchToTarget(parsed); // PC modified
         }
         
         return false; // PC will be incremented normally
     }
 
+    executeTbz(parsed, opcode) {
+        if (!parsed.src || parsed.bit === undefined || !parsed.label) {
+            throw new Error(`Invalid ${opcode} instruction: missing operands`);
+        }
+        
+        const value = this.getRegisterValue(parsed.src);
+        const bitSet = ((value >> BigInt(parsed.bit)) & 1n) !== 0n;
+        const shouldBranch = (opcode === 'tbz' && !bitSet) || (opcode === 'tbnz' && bitSet);
+        
+        if (shouldBranch) {
+            return this.branchToTarget(parsed); // PC modified
+        }
+        
+        return false; // PC will be incremented normally
+    }
+
+    branchToTarget(parsed) {
+        // Set PC to the label or decoded target of a PC-relative branch
+        this.registers.pc = this.resolveTarget(parsed);
+        this.currentInstructionIndex = this.findInstructionIndexByAddress(this.registers.pc);
+        return true;
+    }
+
+    branchToAddress(target, opcode) {
+        // Set PC to a computed address. Within the program's code it must be an instruction (or a
+        // library stub); elsewhere it must be on a page the program has written to, e.g. code copied
+        // to the heap, whose words are fetched and decoded as they are reached
+        const hex = (target & 0xFFFFFFFFFFFFFFFFn).toString(16).toUpperCase().padStart(8, '0');
+        if (target & 3n) {
+            throw new Error(`${opcode}: branch target 0x${hex} is not 4-byte aligned`);
+        }
+        if (!this.isExecutableAddress(target) && !this.writtenPages.has(Number(target >> 12n))) {
+            const region = target <= 0xFFFFFFFFn ? this.getMemoryRegion(target) : null;
+            throw new Error(`${opcode} to 0x${hex}: not an instruction address (${region ? `${region.name} region` : 'unmapped'})`);
+        }
+        // Code the program has written itself may start anywhere on the pages it stored to
+        const codeStart = this.codeSegments.length > 0 ? this.codeSegments[0].start : this.memoryLayout.text.start;
+        if (target >= codeStart && target <= this.codeLimit && !this.findLibraryStub(target) &&
+            this.findExactInstructionIndex(target) === -1 && !this.writtenPages.has(Number(target >> 12n))) {
+            throw new Error(`${opcode}: branch target 0x${hex} is not the address of an instruction`);
+        }
+        this.registers.pc = target;
+        this.currentInstructionIndex = this.findInstructionIndexByAddress(target);
+        return true;
+    }
+
+    isExecutableAddress(address) {
+        // Loaded code: an executable segment of an ELF file, or the Text region for assembled source
+        if (this.segments.length > 0) {
+            const segment = this.findSegment(address);
+            return segment !== null && segment.executable;
+        }
+        const text = this.memoryLayout.text;
+        return address >= text.start && address <= text.end;
+    }
+
+    executeBr(parsed) {
+        if (!parsed.src) {
+            throw new Error(`Invalid br instruction: missing register`);
+        }
+        
+        // BR is an indirect branch: PC = Xn, LR is not touched
+        return this.branchToAddress(this.getRegisterValue(parsed.src), 'br'); // PC modified
+    }
+
+    executeBlr(parsed) {
+        if (!parsed.src) {
+            throw new Error(`Invalid blr instruction: missing register`);
+        }
+        
+        // Read the target first so "blr x30" uses the old LR
+        const target = this.getRegisterValue(parsed.src);
+        
+        // BLR stores the return address (PC + 4) in x30 (LR), like BL
+        const returnAddress = this.registers.pc + 4n;
+        this.setRegisterValue({ type: 'x', num: 30, name: 'x30' }, returnAddress);
+        
+        return this.branchToAddress(target, 'blr'); // PC modified
+    }
+
     async executeBl(parsed) {
         if (!parsed.label) {
             throw new Error(`Invalid bl instruction: missing label`);
         }
         
+        // Process termination: exit/_exit stop with status x0, abort with 134 (128 + SIGABRT)
+        if (['exit', '_exit', 'abort'].includes(parsed.label)) {
+            this.terminate(parsed.label === 'abort' ? 134n : this.registers.x0);
+            return true; // executeInstruction sees exitStatus and ends the program
+        }
+        
         // Check if this is a built-in I/O function
-        const builtInFunctions = ['printf', 'puts', 'putchar', 'scanf', 'gets', 'fgets', 'getchar'];
-        if (builtInFunctions.includes(parsed.label)) {
+        if (LIBRARY_FUNCTIONS.includes(parsed.label)) {
             // BL must store the return address (PC + 4) in x30 (LR)
             const returnAddress = this.registers.pc + 4n;
             this.setRegisterValue({ type: 'x', num: 30, name: 'x30' }, returnAddress);
@@ -2198,9 +4729,7 @@ class ARM64Simulator {
         }
         
         // Normal function call
-        if (!this.symbolTable.has(parsed.label)) {
-            throw new Error(`Label '${parsed.label}' not found`);
-        }
+        const target = this.resolveTarget(parsed);
         
         // BL must store the return address (PC + 4) in x30 (LR)
         // PC currently points to the BL instruction being executed
@@ -2208,8 +4737,7 @@ class ARM64Simulator {
         this.setRegisterValue({ type: 'x', num: 30, name: 'x30' }, returnAddress);
         
         // Jump to label (BL is a branch, sets PC directly, no increment)
-        const labelInfo = this.symbolTable.get(parsed.label);
-        this.registers.pc = labelInfo.address;
+        this.registers.pc = target;
         this.currentInstructionIndex = this.findInstructionIndexByAddress(this.registers.pc);
         
         // BL does NOT increment PC - it's a branch instruction
@@ -2726,8 +5254,10 @@ class ARM64Simulator {
         // which would cause an infinite loop (RET jumps back into _start)
         
         // We need to check if the current RET is within the _start/main function specifically,
-        // not just any function that comes after the entry point
-        if (this.entryPointLabel && this.entryPointAddress >= 0n) {
+        // not just any function that comes after the entry point. Only a return through the link
+        // register leaves main: "ret x5" is an indirect branch and goes wherever x5 points
+        const throughLink = !parsed.src || parsed.src.num === 30;
+        if (throughLink && this.entryPointLabel && this.entryPointAddress >= 0n) {
             const entryPointIndex = this.findInstructionIndexByAddress(this.entryPointAddress);
             
             // Check if current instruction is within the entry function range
@@ -2739,7 +5269,8 @@ class ARM64Simulator {
                 // We're executing RET in _start/main - ALWAYS end the program immediately
                 // Do NOT check x30 or return address - just halt immediately
                 // This prevents the infinite loop where RET in _start uses x30 from a previous BL call
-                this.registers.pc = 0n;
+                // Returning from main exits with x0 as the status, like the C runtime does
+                this.terminate(this.registers.x0);
                 return false; // End of program
             }
         }
@@ -2756,26 +5287,21 @@ class ARM64Simulator {
         // For normal functions (not _start/main), validate return address
         // Check if return address is 0 or invalid
         if (retAddr === 0n || retAddr < 0x00000000n) {
-            // Invalid return address
-            this.registers.pc = 0n;
-            return false; // End of program
-        }
-        
-        // Check if return address is within valid instruction range
-        const instructionIndex = this.findInstructionIndexByAddress(retAddr);
-        if (instructionIndex < 0 || instructionIndex >= this.instructions.length) {
-            // Return address is outside valid instruction range
-            this.registers.pc = 0n;
+            // Returning from the outermost frame: the program exits with x0 as the status
+            this.terminate(this.registers.x0);
             return false; // End of program
         }
         
-        // Valid return address - jump to it
+        // Valid return address - jump to it (faults if it is inside the code but not an instruction)
         // RET is a branch instruction: PC = retAddr (no increment)
-        this.registers.pc = retAddr;
-        this.currentInstructionIndex = instructionIndex;
-        
         // RET does NOT increment PC - it's a branch instruction
-        return true; // PC modified by branch
+        return this.branchToAddress(retAddr, 'ret'); // PC modified by branch
+    }
+
+    terminate(status) {
+        // Stop the program; a parent process only sees the low 8 bits of the status
+        this.exitStatus = Number(BigInt(status) & 0xFFn);
+        this.registers.pc = 0n;
     }
 
     getAllMemoryRegions() {
@@ -2785,6 +5311,7 @@ class ARM64Simulator {
         // Ensure regionUsedSize is initialized
         if (!this.regionUsedSize) {
             this.regionUsedSize = {
+                text: 0n,
                 rodata: 0n,
                 data: 0n,
                 bss: 0n,
@@ -0,0 +1,658 @@
+// ARM64 Decoder - turns 32-bit A64 machine words back into instructions
+// Each word is disassembled to assembly text in the syntax the parser accepts and then parsed,
+// so decoded instructions execute through exactly the same code as assembled source.
+// PC-relative operands are named after the label at the target when there is one, and the
+// absolute target address is kept in parsed.target.
+
+// Arrangement names by [size][Q]
+const VECTOR_ARRANGEMENTS = [['8b', '16b'], ['4h', '8h'], ['2s', '4s'], ['1d', '2d']];
+const ELEMENT_SUFFIXES = ['b', 'h', 's', 'd'];
+
+class ARM64Decoder {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.reset();
+    }
+
+    reset() {
+        // Decoded instructions by "address:word"; a rewritten word gets a new entry
+        this.cache = new Map();
+        // Address -> label name for PC-relative targets (first label wins, .equ constants excluded)
+        this.labels = new Map();
+        for (const [name, info] of this.simulator.symbolTable) {
+            if (info.section !== 'absolute' && !this.labels.has(info.address)) {
+                this.labels.set(info.address, name);
+            }
+        }
+        for (const [name, address] of this.simulator.libraryStubs) {
+            this.labels.set(address, name);
+        }
+    }
+
+    // Decode the word at address: {original, address, encoding, parsed}, with parsed null
+    // (and error set) for words that have no supported decoding
+    decode(word, address) {
+        const key = `${address}:${word}`;
+        let instruction = this.cache.get(key);
+        if (!instruction) {
+            instruction = { original: `.inst 0x${this.hex32(word)}`, address: address, encoding: word, parsed: null };
+            try {
+                const decoded = this.disassemble(word, address);
+                if (decoded) {
+                    instruction.original = decoded.text;
+                    instruction.parsed = this.simulator.parseInstruction(decoded.text);
+                    if (decoded.target !== undefined) {
+                        instruction.parsed.target = decoded.target;
+                    }
+                }
+            } catch (e) {
+                instruction.parsed = null;
+                instruction.error = e.message;
+            }
+            this.cache.set(key, instruction);
+        }
+        return instruction;
+    }
+
+    // Disassemble one word: {text, target?}, or null if the word is not a supported instruction
+    disassemble(word, address) {
+        word = word >>> 0;
+        const rd = word & 0x1F;
+        const rn = (word >>> 5) & 0x1F;
+        const rm = (word >>> 16) & 0x1F;
+        const sf = word >>> 31;
+
+        // Hints and exceptions
+        const hints = { 0xD503201F: 'nop', 0xD503203F: 'yield', 0xD503205F: 'wfe', 0xD503207F: 'wfi' };
+        if (hints[word]) return { text: hints[word] };
+        if ((word & 0xFFFF0000) === 0) return { text: `udf #${word}` };
+        if ((word & 0xFFE0001F) >>> 0 === 0xD4000001) return { text: `svc #${(word >>> 5) & 0xFFFF}` };
+        if ((word & 0xFFE0001F) >>> 0 === 0xD4200000) return { text: `brk #${(word >>> 5) & 0xFFFF}` };
+        if ((word & 0xFFE0001F) >>> 0 === 0xD4400000) return { text: `hlt #${(word >>> 5) & 0xFFFF}` };
+
+        // mrs/msr
+        if ((word & 0xFFD00000) >>> 0 === 0xD5100000) {
+            const fields = (word >>> 5) & 0x7FFF;
+            const name = Object.keys(SYSTEM_REGISTERS).find(reg => {
+                const { op0, op1, crn, crm, op2 } = SYSTEM_REGISTERS[reg];
+                return ((op0 - 2) << 14 | op1 << 11 | crn << 7 | crm << 3 | op2) === fields;
+            });
+            if (!name) return null;
+            return (word & 0x00200000) ? { text: `mrs ${this.gpr(rd, 1)}, ${name}` } : { text: `msr ${name}, ${this.gpr(rd, 1)}` };
+        }
+
+        // Branches
+        if ((word & 0xFFFFFC1F) >>> 0 === 0xD65F0000) return { text: rn === 30 ? 'ret' : `ret ${this.gpr(rn, 1)}` };
+        if ((word & 0xFFFFFC1F) >>> 0 === 0xD61F0000) return { text: `br ${this.gpr(rn, 1)}` };
+        if ((word & 0xFFFFFC1F) >>> 0 === 0xD63F0000) return { text: `blr ${this.gpr(rn, 1)}` };
+        if ((word & 0x7C000000) === 0x14000000) {
+            const target = address + this.signExtend(word & 0x3FFFFFF, 26) * 4n;
+            return this.withTarget(sf ? 'bl' : 'b', target);
+        }
+        if ((word & 0xFF000010) >>> 0 === 0x54000000) {
+            const target = address + this.signExtend((word >>> 5) & 0x7FFFF, 19) * 4n;
+            return this.withTarget(`b.${this.conditionName(word & 0xF)}`, target);
+        }
+        if ((word & 0x7E000000) === 0x34000000) {
+            const target = address + this.signExtend((word >>> 5) & 0x7FFFF, 19) * 4n;
+            return this.withTarget(`${(word & 0x01000000) ? 'cbnz' : 'cbz'} ${this.gpr(rd, sf)},`, target);
+        }
+        if ((word & 0x7E000000) === 0x36000000) {
+            const bit = sf << 5 | (word >>> 19) & 0x1F;
+            const target = address + this.signExtend((word >>> 5) & 0x3FFF, 14) * 4n;
+            return this.withTarget(`${(word & 0x01000000) ? 'tbnz' : 'tbz'} ${this.gpr(rd, bit > 31 ? 1 : 0)}, #${bit},`, target);
+        }
+        if ((word & 0x1F000000) === 0x10000000) {
+            const imm = this.signExtend(((word >>> 5) & 0x7FFFF) << 2 | (word >>> 29) & 0x3, 21);
+            const target = sf ? ((address >> 12n) + imm) << 12n : address + imm;
+            return this.withTarget(`${sf ? 'adrp' : 'adr'} ${this.gpr(rd, 1)},`, target);
+        }
+
+        // Advanced SIMD (ld1/st1 sit in the load/store space, so they are checked first)
+        if ((word & 0x9E000000) >>> 0 === 0x0E000000 || (word & 0x9F000000) >>> 0 === 0x0C000000 || (word & 0x9F000000) >>> 0 === 0x0F000000) {
+            return this.disassembleVector(word);
+        }
+        if ((word & 0x0A000000) === 0x08000000) return this.disassembleLoadStore(word, address);
+        if ((word & 0x1F000000) >>> 0 === 0x1E000000 && !(word & 0x40000000)) return this.disassembleFloat(word);
+        return this.disassembleInteger(word, rd, rn, rm, sf);
+    }
+
+    disassembleInteger(word, rd, rn, rm, sf) {
+        const op = (word >>> 30) & 1;
+        const setsFlags = (word >>> 29) & 1;
+        const imm6 = (word >>> 10) & 0x3F;
+        const shiftName = ['lsl', 'lsr', 'asr', 'ror'][(word >>> 22) & 3];
+        const shifted = (reg, allowRor) => {
+            if (shiftName === 'ror' && !allowRor) return null;
+            return imm6 === 0 && shiftName === 'lsl' ? reg : `${reg}, ${shiftName} #${imm6}`;
+        };
+        const size = sf ? 64 : 32;
+
+        // Add/subtract (immediate)
+        if ((word & 0x1F800000) === 0x11000000) {
+            const imm = ((word >>> 10) & 0xFFF) << ((word & 0x00400000) ? 12 : 0);
+            const mnemonic = op ? 'sub' : 'add';
+            if (setsFlags && rd === 31) {
+                return { text: `${op ? 'cmp' : 'cmn'} ${this.gpr(rn, sf, 'sp')}, #${imm}` };
+            }
+            if (!op && !setsFlags && imm === 0 && (rd === 31 || rn === 31)) {
+                return { text: `mov ${this.gpr(rd, sf, 'sp')}, ${this.gpr(rn, sf, 'sp')}` };
+            }
+            return { text: `${mnemonic}${setsFlags ? 's' : ''} ${this.gpr(rd, sf, setsFlags ? 'zr' : 'sp')}, ${this.gpr(rn, sf, 'sp')}, #${imm}` };
+        }
+
+        // Logical (immediate)
+        if ((word & 0x1F800000) === 0x12000000) {
+            const n = (word >>> 22) & 1;
+            if (!sf && n) return null;
+            const value = this.decodeBitmaskImmediate(n, (word >>> 10) & 0x3F, (word >>> 16) & 0x3F, size);
+            if (value === null) return null;
+            const opc = (word >>> 29) & 3;
+            if (opc === 3 && rd === 31) {
+                return { text: `tst ${this.gpr(rn, sf)}, #0x${value.toString(16)}` };
+            }
+            const mnemonic = ['and', 'orr', 'eor', 'ands'][opc];
+            return { text: `${mnemonic} ${this.gpr(rd, sf, opc === 3 ? 'zr' : 'sp')}, ${this.gpr(rn, sf)}, #0x${value.toString(16)}` };
+        }
+
+        // Move wide (immediate)
+        if ((word & 0x1F800000) === 0x12800000) {
+            const opc = (word >>> 29) & 3;
+            const hw = (word >>> 21) & 3;
+            const imm16 = (word >>> 5) & 0xFFFF;
+            if (opc === 1 || (!sf && hw > 1)) return null;
+            const shift = hw ? `, lsl #${hw * 16}` : '';
+            const mask = (1n << BigInt(size)) - 1n;
+            if (opc === 2 && !(imm16 === 0 && hw !== 0)) {
+                return { text: `mov ${this.gpr(rd, sf)}, #0x${(BigInt(imm16) << BigInt(hw * 16)).toString(16)}` };
+            }
+            if (opc === 0 && !(imm16 === 0 && hw !== 0) && !(!sf && imm16 === 0xFFFF)) {
+                const value = ~(BigInt(imm16) << BigInt(hw * 16)) & mask;
+                return { text: `mov ${this.gpr(rd, sf)}, #0x${value.toString(16)}` };
+            }
+            return { text: `${['movn', '', 'movz', 'movk'][opc]} ${this.gpr(rd, sf)}, #0x${imm16.toString(16)}${shift}` };
+        }
+
+        // Bitfield
+        if ((word & 0x1F800000) === 0x13000000) {
+            const opc = (word >>> 29) & 3;
+            const immr = (word >>> 16) & 0x3F;
+            const imms = (word >>> 10) & 0x3F;
+            // The 32-bit forms take 5-bit immr/imms; bit 5 set is unallocated
+            if (opc === 3 || ((word >>> 22) & 1) !== sf || (!sf && (immr >= 32 || imms >= 32))) return null;
+            return { text: this.bitfieldText(opc, sf, rd, rn, immr, imms) };
+        }
+
+        // Extract (op21 and o0 must be zero)
+        if ((word & 0x7FA00000) === 0x13800000) {
+            const lsb = (word >>> 10) & 0x3F;
+            if (((word >>> 22) & 1) !== sf || lsb >= size) return null;
+            if (rn === rm) {
+                return { text: `ror ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, #${lsb}` };
+            }
+            return { text: `extr ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, ${this.gpr(rm, sf)}, #${lsb}` };
+        }
+
+        // Logical (shifted register)
+        if ((word & 0x1F000000) === 0x0A000000) {
+            if (!sf && imm6 > 31) return null;
+            const opc = (word >>> 29) & 3;
+            const invert = (word >>> 21) & 1;
+            if (invert) {
+                // Only bic and mvn (orn from zr) are supported among the inverted forms
+                if (opc === 1 && rn === 31) {
+                    return { text: `mvn ${this.gpr(rd, sf)}, ${shifted(this.gpr(rm, sf), true)}` };
+                }
+                if (opc !== 0) return null;
+            }
+            const operand = shifted(this.gpr(rm, sf), true);
+            if (!operand) return null;
+            if (opc === 1 && !invert && rn === 31 && operand === this.gpr(rm, sf)) {
+                return { text: `mov ${this.gpr(rd, sf)}, ${operand}` };
+            }
+            if (opc === 3 && rd === 31) {
+                return { text: `tst ${this.gpr(rn, sf)}, ${operand}` };
+            }
+            const mnemonic = invert ? 'bic' : ['and', 'orr', 'eor', 'ands'][opc];
+            return { text: `${mnemonic} ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, ${operand}` };
+        }
+
+        // Add/subtract (shifted register)
+        if ((word & 0x1F200000) === 0x0B000000) {
+            if (shiftName === 'ror' || (!sf && imm6 > 31)) return null;
+            const operand = shifted(this.gpr(rm, sf), false);
+            if (setsFlags && rd === 31) {
+                return { text: `${op ? 'cmp' : 'cmn'} ${this.gpr(rn, sf)}, ${operand}` };
+            }
+            if (op && rn === 31) {
+                return { text: `neg${setsFlags ? 's' : ''} ${this.gpr(rd, sf)}, ${operand}` };
+            }
+            return { text: `${op ? 'sub' : 'add'}${setsFlags ? 's' : ''} ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, ${operand}` };
+        }
+
+        // Add/subtract (extended register)
+        if ((word & 0x1FE00000) === 0x0B200000) {
+            const option = (word >>> 13) & 7;
+            const amount = (word >>> 10) & 7;
+            if (amount > 4) return null;
+            const extendName = Object.keys(EXTEND_TYPES).find(name => EXTEND_TYPES[name] === option);
+            const rmReg = this.gpr(rm, (option & 3) === 3 ? 1 : 0);
+            const usesSP = (!setsFlags && rd === 31) || rn === 31;
+            // Next to sp, uxtx (uxtw for 32-bit) is written as lsl
+            let operand;
+            if (usesSP && option === (sf ? 3 : 2)) {
+                operand = amount ? `${rmReg}, lsl #${amount}` : rmReg;
+            } else {
+                operand = amount ? `${rmReg}, ${extendName} #${amount}` : `${rmReg}, ${extendName}`;
+            }
+            if (setsFlags && rd === 31) {
+                return { text: `${op ? 'cmp' : 'cmn'} ${this.gpr(rn, sf, 'sp')}, ${operand}` };
+            }
+            return { text: `${op ? 'sub' : 'add'}${setsFlags ? 's' : ''} ${this.gpr(rd, sf, setsFlags ? 'zr' : 'sp')}, ${this.gpr(rn, sf, 'sp')}, ${operand}` };
+        }
+
+        // Add/subtract with carry
+        if ((word & 0x1FE0FC00) === 0x1A000000) {
+            if (op && rn === 31) {
+                return { text: `ngc${setsFlags ? 's' : ''} ${this.gpr(rd, sf)}, ${this.gpr(rm, sf)}` };
+            }
+            return { text: `${op ? 'sbc' : 'adc'}${setsFlags ? 's' : ''} ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, ${this.gpr(rm, sf)}` };
+        }
+
+        // Conditional compare
+        if ((word & 0x3FE00410) === 0x3A400000) {
+            const operand = (word & 0x800) ? `#${rm}` : this.gpr(rm, sf);
+            return { text: `${op ? 'ccmp' : 'ccmn'} ${this.gpr(rn, sf)}, ${operand}, #${word & 0xF}, ${this.conditionName((word >>> 12) & 0xF)}` };
+        }
+
+        // Conditional select
+        if ((word & 0x3FE00800) === 0x1A800000) {
+            const op2 = (word >>> 10) & 1;
+            const cond = (word >>> 12) & 0xF;
+            const mnemonic = [['csel', 'csinc'], ['csinv', 'csneg']][op][op2];
+            if (cond < 0xE && rn === rm && mnemonic !== 'csel') {
+                const inverted = this.conditionName(cond ^ 1);
+                if (rn === 31 && mnemonic !== 'csneg') {
+                    return { text: `${mnemonic === 'csinc' ? 'cset' : 'csetm'} ${this.gpr(rd, sf)}, ${inverted}` };
+                }
+                if (rn !== 31) {
+                    const alias = { csinc: 'cinc', csinv: 'cinv', csneg: 'cneg' }[mnemonic];
+                    return { text: `${alias} ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, ${inverted}` };
+                }
+            }
+            return { text: `${mnemonic} ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, ${this.gpr(rm, sf)}, ${this.conditionName(cond)}` };
+        }
+
+        // Data-processing (1 source)
+        if ((word & 0x7FFF0000) === 0x5AC00000) {
+            const opcode = (word >>> 10) & 0x3F;
+            const mnemonic = sf
+                ? ['rbit', 'rev16', 'rev32', 'rev', 'clz', 'cls'][opcode]
+                : ['rbit', 'rev16', 'rev', undefined, 'clz', 'cls'][opcode];
+            if (!mnemonic) return null;
+            return { text: `${mnemonic} ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}` };
+        }
+
+        // Data-processing (2 source)
+        if ((word & 0x7FE00000) === 0x1AC00000) {
+            const mnemonic = { 2: 'udiv', 3: 'sdiv', 8: 'lsl', 9: 'lsr', 10: 'asr', 11: 'ror' }[(word >>> 10) & 0x3F];
+            if (!mnemonic) return null;
+            return { text: `${mnemonic} ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, ${this.gpr(rm, sf)}` };
+        }
+
+        // Data-processing (3 source)
+        if ((word & 0x7F000000) === 0x1B000000) {
+            const ra = (word >>> 10) & 0x1F;
+            const op31 = (word >>> 21) & 7;
+            const o0 = (word >>> 15) & 1;
+            if (op31 === 0) {
+                if (ra === 31) {
+                    return { text: `${o0 ? 'mneg' : 'mul'} ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, ${this.gpr(rm, sf)}` };
+                }
+                return { text: `${o0 ? 'msub' : 'madd'} ${this.gpr(rd, sf)}, ${this.gpr(rn, sf)}, ${this.gpr(rm, sf)}, ${this.gpr(ra, sf)}` };
+            }
+            if (!sf || o0 || ra !== 31) return null;
+            const mnemonic = { 1: 'smull', 2: 'smulh', 5: 'umull', 6: 'umulh' }[op31];
+            if (!mnemonic) return null;
+            const sourceSize = op31 === 1 || op31 === 5 ? 0 : 1;
+            return { text: `${mnemonic} ${this.gpr(rd, 1)}, ${this.gpr(rn, sourceSize)}, ${this.gpr(rm, sourceSize)}` };
+        }
+
+        return null;
+    }
+
+    bitfieldText(opc, sf, rd, rn, immr, imms) {
+        // Preferred alias of sbfm/bfm/ubfm, as the parser accepts them
+        const size = sf ? 64 : 32;
+        const dest = this.gpr(rd, sf);
+        const src = this.gpr(rn, sf);
+        if (opc === 0) {
+            if (imms === size - 1) return `asr ${dest}, ${src}, #${immr}`;
+            if (immr === 0 && imms === 7) return `sxtb ${dest}, ${this.gpr(rn, 0)}`;
+            if (immr === 0 && imms === 15) return `sxth ${dest}, ${this.gpr(rn, 0)}`;
+            if (immr === 0 && imms === 31 && sf) return `sxtw ${dest}, ${this.gpr(rn, 0)}`;
+            if (imms < immr) return `sbfiz ${dest}, ${src}, #${(size - immr) & (size - 1)}, #${imms + 1}`;
+            return `sbfx ${dest}, ${src}, #${immr}, #${imms - immr + 1}`;
+        }
+        if (opc === 1) {
+            if (imms < immr) return `bfi ${dest}, ${src}, #${(size - immr) & (size - 1)}, #${imms + 1}`;
+            return `bfxil ${dest}, ${src}, #${immr}, #${imms - immr + 1}`;
+        }
+        if (imms === size - 1) return `lsr ${dest}, ${src}, #${immr}`;
+        if (imms + 1 === immr) return `lsl ${dest}, ${src}, #${size - 1 - imms}`;
+        if (!sf && immr === 0 && imms === 7) return `uxtb ${dest}, ${src}`;
+        if (!sf && immr === 0 && imms === 15) return `uxth ${dest}, ${src}`;
+        if (imms < immr) return `ubfiz ${dest}, ${src}, #${(size - immr) & (size - 1)}, #${imms + 1}`;
+        return `ubfx ${dest}, ${src}, #${immr}, #${imms - immr + 1}`;
+    }
+
+    disassembleLoadStore(word, address) {
+        const size = word >>> 30;
+        const v = (word >>> 26) & 1;
+        const opc = (word >>> 22) & 3;
+        const rt = word & 0x1F;
+        const rn = (word >>> 5) & 0x1F;
+        const base = this.gpr(rn, 1, 'sp');
+
+        // Load register (literal)
+        if ((word & 0x3B000000) === 0x18000000) {
+            const target = address + this.signExtend((word >>> 5) & 0x7FFFF, 19) * 4n;
+            let text;
+            if (v) {
+                if (size > 1) return null;
+                text = `ldr ${size ? 'd' : 's'}${rt},`;
+            } else if (size === 2) {
+                text = `ldrsw ${this.gpr(rt, 1)},`;
+            } else if (size < 2) {
+                text = `ldr ${this.gpr(rt, size)},`;
+            } else {
+                return null;
+            }
+            return this.withTarget(text, target);
+        }
+
+        // Load/store pair
+        if ((word & 0x3A000000) === 0x28000000) {
+            const mode = (word >>> 23) & 3;
+            const load = (word >>> 22) & 1;
+            if (v || mode === 0 || size === 3 || (size === 1 && !load)) return null;
+            const mnemonic = size === 1 ? 'ldpsw' : (load ? 'ldp' : 'stp');
+            const regSize = size === 0 ? 0 : 1;
+            const scale = size === 2 ? 8 : 4;
+            const offset = Number(this.signExtend((word >>> 15) & 0x7F, 7)) * scale;
+            const regs = `${this.gpr(rt, regSize)}, ${this.gpr((word >>> 10) & 0x1F, regSize)}`;
+            return { text: `${mnemonic} ${regs}, ${this.addressText(base, offset, mode === 1 ? 'post' : mode === 3 ? 'pre' : null)}` };
+        }
+
+        // Register name and mnemonic from size/V/opc
+        let mnemonic;
+        let reg;
+        if (v) {
+            if (opc > 1 || size < 2) return null;
+            mnemonic = opc ? 'ldr' : 'str';
+            reg = `${size === 3 ? 'd' : 's'}${rt}`;
+        } else {
+            const names = [
+                ['strb', 'ldrb', 'ldrsb', 'ldrsb'],
+                ['strh', 'ldrh', 'ldrsh', 'ldrsh'],
+                ['str', 'ldr', 'ldrsw', null],
+                ['str', 'ldr', null, null]
+            ];
+            mnemonic = names[size][opc];
+            if (!mnemonic) return null;
+            // Loads into X: 64-bit accesses and sign-extending loads with opc 10
+            reg = this.gpr(rt, size === 3 || opc === 2 ? 1 : 0);
+        }
+        const bytes = 1 << size;
+
+        // Unsigned offset
+        if ((word & 0x3B000000) === 0x39000000) {
+            return { text: `${mnemonic} ${reg}, ${this.addressText(base, ((word >>> 10) & 0xFFF) * bytes, null)}` };
+        }
+
+        // Register offset (lsl/uxtx only)
+        if ((word & 0x3B200C00) === 0x38200800) {
+            if (((word >>> 13) & 7) !== 3) return null;
+            const offsetReg = this.gpr((word >>> 16) & 0x1F, 1);
+            const scaled = (word >>> 12) & 1;
+            const shift = scaled ? `, lsl #${size}` : '';
+            return { text: `${mnemonic} ${reg}, [${base}, ${offsetReg}${shift}]` };
+        }
+
+        // Unscaled, post-index and pre-index
+        if ((word & 0x3B200000) === 0x38000000) {
+            const mode = (word >>> 10) & 3;
+            if (mode === 2) return null;
+            const offset = Number(this.signExtend((word >>> 12) & 0x1FF, 9));
+            return { text: `${mnemonic} ${reg}, ${this.addressText(base, offset, mode === 1 ? 'post' : mode === 3 ? 'pre' : null)}` };
+        }
+
+        return null;
+    }
+
+    addressText(base, offset, writeback) {
+        if (writeback === 'post') return `[${base}], #${offset}`;
+        if (writeback === 'pre') return `[${base}, #${offset}]!`;
+        return offset ? `[${base}, #${offset}]` : `[${base}]`;
+    }
+
+    disassembleFloat(word) {
+        const ftype = (word >>> 22) & 3;
+        const rd = word & 0x1F;
+        const rn = (word >>> 5) & 0x1F;
+        const rm = (word >>> 16) & 0x1F;
+        const sf = word >>> 31;
+        const fp = (num, type) => `${type ? 'd' : 's'}${num}`;
+        if (ftype > 1) return null;
+
+        // Conversion between floating point and integer
+        if ((word & 0x7F20FC00) === 0x1E200000) {
+            const kind = (word >>> 16) & 0x1F;
+            switch (kind) {
+                case 0x18: return { text: `fcvtzs ${this.gpr(rd, sf)}, ${fp(rn, ftype)}` };
+                case 0x19: return { text: `fcvtzu ${this.gpr(rd, sf)}, ${fp(rn, ftype)}` };
+                case 0x02: return { text: `scvtf ${fp(rd, ftype)}, ${this.gpr(rn, sf)}` };
+                case 0x03: return { text: `ucvtf ${fp(rd, ftype)}, ${this.gpr(rn, sf)}` };
+                case 0x06: return sf === ftype ? { text: `fmov ${this.gpr(rd, sf)}, ${fp(rn, ftype)}` } : null;
+                case 0x07: return sf === ftype ? { text: `fmov ${fp(rd, ftype)}, ${this.gpr(rn, sf)}` } : null;
+                default: return null;
+            }
+        }
+        if (sf) return null;
+
+        // 2 source, 1 source, select, compare and immediate move
+        if ((word & 0xFF200C00) >>> 0 === 0x1E200800) {
+            const mnemonic = ['fmul', 'fdiv', 'fadd', 'fsub'][(word >>> 12) & 0xF];
+            if (!mnemonic) return null;
+            return { text: `${mnemonic} ${fp(rd, ftype)}, ${fp(rn, ftype)}, ${fp(rm, ftype)}` };
+        }
+        if ((word & 0xFF207C00) >>> 0 === 0x1E204000) {
+            const opc = (word >>> 15) & 0x3F;
+            if (opc === 4 || opc === 5) {
+                const destType = opc - 4;
+                return destType === ftype ? null : { text: `fcvt ${fp(rd, destType)}, ${fp(rn, ftype)}` };
+            }
+            const mnemonic = ['fmov', 'fabs', 'fneg', 'fsqrt'][opc];
+            if (!mnemonic) return null;
+            return { text: `${mnemonic} ${fp(rd, ftype)}, ${fp(rn, ftype)}` };
+        }
+        if ((word & 0xFF200C00) >>> 0 === 0x1E200C00) {
+            return { text: `fcsel ${fp(rd, ftype)}, ${fp(rn, ftype)}, ${fp(rm, ftype)}, ${this.conditionName((word >>> 12) & 0xF)}` };
+        }
+        if ((word & 0xFF20FC17) >>> 0 === 0x1E202000) {
+            if (word & 0x8) {
+                return rm === 0 ? { text: `fcmp ${fp(rn, ftype)}, #0.0` } : null;
+            }
+            return { text: `fcmp ${fp(rn, ftype)}, ${fp(rm, ftype)}` };
+        }
+        if ((word & 0xFF201FE0) >>> 0 === 0x1E201000) {
+            const imm8 = (word >>> 13) & 0xFF;
+            const exponent = (imm8 >>> 4) & 7;
+            const r = (exponent & 4) ? (exponent & 3) - 3 : exponent + 1;
+            const value = (imm8 & 0x80 ? -1 : 1) * (16 + (imm8 & 0xF)) / 16 * Math.pow(2, r);
+            return { text: `fmov ${fp(rd, ftype)}, #${Number.isInteger(value) ? value.toFixed(1) : value}` };
+        }
+        return null;
+    }
+
+    disassembleVector(word) {
+        const q = (word >>> 30) & 1;
+        const rd = word & 0x1F;
+        const rn = (word >>> 5) & 0x1F;
+        const rm = (word >>> 16) & 0x1F;
+        const size = (word >>> 22) & 3;
+        const vec = (num, arrangement) => `v${num}.${arrangement}`;
+
+        // ld1/st1 (multiple structures), optionally post-indexed by the list size
+        if ((word & 0xBFBF0000) >>> 0 === 0x0C000000 || (word & 0xBFBF0000) >>> 0 === 0x0C9F0000) {
+            const count = { 0x7: 1, 0xA: 2, 0x6: 3, 0x2: 4 }[(word >>> 12) & 0xF];
+            if (!count) return null;
+            const arrangement = VECTOR_ARRANGEMENTS[(word >>> 10) & 3][q];
+            const regs = Array.from({ length: count }, (_, i) => vec((rd + i) % 32, arrangement)).join(', ');
+            const mnemonic = (word & 0x00400000) ? 'ld1' : 'st1';
+            const post = (word & 0x00800000) ? `, #${count * (q ? 16 : 8)}` : '';
+            return { text: `${mnemonic} {${regs}}, [${this.gpr(rn, 1, 'sp')}]${post}` };
+        }
+
+        // movi (8/16/32-bit shifted immediates and the 64-bit byte mask)
+        if ((word & 0x9FF80C00) >>> 0 === 0x0F000400) {
+            const op = (word >>> 29) & 1;
+            const cmode = (word >>> 12) & 0xF;
+            const imm8 = ((word >>> 16) & 7) << 5 | (word >>> 5) & 0x1F;
+            if (op) {
+                if (cmode !== 0xE || !q) return null;
+                let value = 0n;
+                for (let i = 0; i < 8; i++) {
+                    if (imm8 & (1 << i)) value |= 0xFFn << BigInt(i * 8);
+                }
+                return { text: `movi ${vec(rd, '2d')}, #0x${value.toString(16)}` };
+            }
+            let arrangement;
+            let shift;
+            if (cmode === 0xE) {
+                arrangement = VECTOR_ARRANGEMENTS[0][q];
+                shift = 0;
+            } else if ((cmode & 0xD) === 0x8) {
+                arrangement = VECTOR_ARRANGEMENTS[1][q];
+                shift = (cmode & 2) * 4;
+            } else if ((cmode & 0x9) === 0) {
+                arrangement = VECTOR_ARRANGEMENTS[2][q];
+                shift = (cmode >>> 1) * 8;
+            } else {
+                return null;
+            }
+            return { text: `movi ${vec(rd, arrangement)}, #0x${imm8.toString(16)}${shift ? `, lsl #${shift}` : ''}` };
+        }
+
+        // Copy: dup, ins, umov
+        if ((word & 0x9FE08400) >>> 0 === 0x0E000400) {
+            const imm5 = (word >>> 16) & 0x1F;
+            const log = [0, 1, 2, 3].find(bit => imm5 & (1 << bit));
+            if (log === undefined) return null;
+            const suffix = ELEMENT_SUFFIXES[log];
+            const index = imm5 >>> (log + 1);
+            const imm4 = (word >>> 11) & 0xF;
+            if ((word >>> 29) & 1) {
+                if (!q) return null;
+                return { text: `ins v${rd}.${suffix}[${index}], v${rn}.${suffix}[${imm4 >>> log}]` };
+            }
+            const arrangement = VECTOR_ARRANGEMENTS[log][q];
+            if (imm4 === 0) {
+                return log === 3 && !q ? null : { text: `dup ${vec(rd, arrangement)}, v${rn}.${suffix}[${index}]` };
+            }
+            if (imm4 === 1) {
+                return log === 3 && !q ? null : { text: `dup ${vec(rd, arrangement)}, ${this.gpr(rn, log === 3 ? 1 : 0)}` };
+            }
+            if (imm4 === 3 && q) {
+                return { text: `ins v${rd}.${suffix}[${index}], ${this.gpr(rn, log === 3 ? 1 : 0)}` };
+            }
+            if (imm4 === 7 && q === (log === 3 ? 1 : 0)) {
+                return { text: `umov ${this.gpr(rd, log === 3 ? 1 : 0)}, v${rn}.${suffix}[${index}]` };
+            }
+            return null;
+        }
+
+        // addv and compares against zero
+        if ((word & 0xBF3FFC00) >>> 0 === 0x0E31B800) {
+            if (size === 3 || (size === 2 && !q)) return null;
+            return { text: `addv ${ELEMENT_SUFFIXES[size]}${rd}, ${vec(rn, VECTOR_ARRANGEMENTS[size][q])}` };
+        }
+        if ((word & 0xBF3FEC00) >>> 0 === 0x0E208800) {
+            if (size === 3 && !q) return null;
+            const mnemonic = (word & 0x1000) ? 'cmeq' : 'cmgt';
+            const arrangement = VECTOR_ARRANGEMENTS[size][q];
+            return { text: `${mnemonic} ${vec(rd, arrangement)}, ${vec(rn, arrangement)}, #0` };
+        }
+
+        // Three registers of the same type
+        if ((word & 0x9F200400) >>> 0 === 0x0E200400) {
+            const u = (word >>> 29) & 1;
+            const opcode = (word >>> 11) & 0x1F;
+            let mnemonic;
+            let arrangement = VECTOR_ARRANGEMENTS[size][q];
+            if (opcode === 0x03) {
+                // Logical ops keep their operation in the size field and work on bytes
+                mnemonic = u ? (size === 0 ? 'eor' : null) : ({ 0: 'and', 2: 'orr' })[size];
+                arrangement = VECTOR_ARRANGEMENTS[0][q];
+            } else {
+                mnemonic = ({ '0:16': 'add', '1:16': 'sub', '0:19': 'mul', '1:17': 'cmeq', '0:6': 'cmgt' })[`${u}:${opcode}`];
+                if ((size === 3 && !q) || (mnemonic === 'mul' && size === 3)) return null;
+            }
+            if (!mnemonic) return null;
+            return { text: `${mnemonic} ${vec(rd, arrangement)}, ${vec(rn, arrangement)}, ${vec(rm, arrangement)}` };
+        }
+
+        return null;
+    }
+
+    decodeBitmaskImmediate(n, imms, immr, size) {
+        // Inverse of ARM64Encoder.encodeBitmaskImmediate; null for reserved encodings
+        const combined = n << 6 | (~imms & 0x3F);
+        if (combined === 0) return null;
+        const length = 31 - Math.clz32(combined);
+        if (length < 1) return null;
+        const e = 1 << length;
+        const s = imms & (e - 1);
+        const r = immr & (e - 1);
+        if (s === e - 1) return null;
+        const elementMask = (1n << BigInt(e)) - 1n;
+        const run = (1n << BigInt(s + 1)) - 1n;
+        const element = ((run >> BigInt(r)) | (run << BigInt(e - r))) & elementMask;
+        let value = 0n;
+        for (let i = 0; i < size; i += e) {
+            value |= element << BigInt(i);
+        }
+        return value;
+    }
+
+    // Operand helpers
+    gpr(num, sf, role = 'zr') {
+        // Register 31 is sp or the zero register depending on the operand
+        if (num === 31) {
+            return role === 'sp' ? (sf ? 'sp' : 'wsp') : (sf ? 'xzr' : 'wzr');
+        }
+        return `${sf ? 'x' : 'w'}${num}`;
+    }
+
+    conditionName(code) {
+        // First name listed for the code (hs rather than cs, lo rather than cc)
+        return Object.keys(CONDITION_CODES).find(name => CONDITION_CODES[name].code === code);
+    }
+
+    withTarget(prefix, target) {
+        // PC-relative operand: the label at the target if there is one, otherwise its address
+        target &= 0xFFFFFFFFFFFFFFFFn;
+        const name = this.labels.get(target) || `0x${target.toString(16)}`;
+        return { text: `${prefix} ${name}`, target: target };
+    }
+
+    signExtend(value, bits) {
+        const big = BigInt(value);
+        const sign = 1n << BigInt(bits - 1);
+        return (big & (sign - 1n)) - (big & sign);
+    }
+
+    hex32(word) {
+        return (word >>> 0).toString(16).toUpperCase().padStart(8, '0');
+    }
+}
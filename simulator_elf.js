@@ -0,0 +1,486 @@
+// ARM64 ELF - reads static AArch64 ELF64 executables for ARM64Simulator.loadELF, and writes
+// assembled programs out as executables or relocatable objects for ARM64Simulator.exportELF
+// Only what a static, libc-free binary from aarch64-linux-gnu-as/ld needs is supported:
+// little-endian ELF64, PT_LOAD segments, the entry point and the .symtab symbols.
+
+const ELF_MAGIC = [0x7F, 0x45, 0x4C, 0x46]; // "\x7FELF"
+const ELFCLASS64 = 2;
+const ELFDATA2LSB = 1;
+const ET_REL = 1;
+const ET_EXEC = 2;
+const ET_DYN = 3;
+const EM_AARCH64 = 183;
+
+// Program header types and segment permission flags
+const PT_LOAD = 1;
+const PT_DYNAMIC = 2;
+const PT_INTERP = 3;
+const PF_X = 1;
+const PF_W = 2;
+const PF_R = 4;
+
+// Section header types and flags, symbol bindings/types and special section indices
+const SHT_PROGBITS = 1;
+const SHT_SYMTAB = 2;
+const SHT_STRTAB = 3;
+const SHT_RELA = 4;
+const SHT_NOBITS = 8;
+const SHF_WRITE = 0x1;
+const SHF_ALLOC = 0x2;
+const SHF_EXECINSTR = 0x4;
+const SHF_INFO_LINK = 0x40;
+const STB_LOCAL = 0;
+const STB_GLOBAL = 1;
+const STB_WEAK = 2;
+const STT_SECTION = 3;
+const STT_FILE = 4;
+const SHN_UNDEF = 0;
+const SHN_ABS = 0xFFF1;
+
+// Relocation types written to object files, with the instruction bits each one fills in
+const R_AARCH64_ABS64 = 257;
+const R_AARCH64_ABS32 = 258;
+const R_AARCH64_ABS16 = 259;
+const R_AARCH64_LD_PREL_LO19 = 273;
+const R_AARCH64_ADR_PREL_LO21 = 274;
+const R_AARCH64_ADR_PREL_PG_HI21 = 275;
+const R_AARCH64_ADD_ABS_LO12_NC = 277;
+const R_AARCH64_CALL26 = 283;
+const RELOCATION_FIELDS = new Map([
+    [R_AARCH64_LD_PREL_LO19, 0x00FFFFE0],     // imm19
+    [R_AARCH64_ADR_PREL_LO21, 0x60FFFFE0],    // immlo, immhi
+    [R_AARCH64_ADR_PREL_PG_HI21, 0x60FFFFE0], // immlo, immhi
+    [R_AARCH64_ADD_ABS_LO12_NC, 0x003FFC00],  // imm12
+    [R_AARCH64_CALL26, 0x03FFFFFF]            // imm26
+]);
+
+// The sections an assembled program is written as, in section header order (indices 1-4)
+const ELF_SECTIONS = [
+    { kind: 'text', name: '.text', type: SHT_PROGBITS, flags: SHF_ALLOC | SHF_EXECINSTR, segmentFlags: PF_R | PF_X, align: 8 },
+    { kind: 'rodata', name: '.rodata', type: SHT_PROGBITS, flags: SHF_ALLOC, segmentFlags: PF_R, align: 16 },
+    { kind: 'data', name: '.data', type: SHT_PROGBITS, flags: SHF_ALLOC | SHF_WRITE, segmentFlags: PF_R | PF_W, align: 16 },
+    { kind: 'bss', name: '.bss', type: SHT_NOBITS, flags: SHF_ALLOC | SHF_WRITE, segmentFlags: PF_R | PF_W, align: 16 }
+];
+// Segment file offsets must match their addresses modulo the page size: 64KB covers 4KB, 16KB and 64KB kernels
+const SEGMENT_ALIGN = 0x10000;
+
+class ARM64ELF {
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    // Parse an executable: {entry, segments: [{vaddr, memsz, flags, data}], symbols: [{name, value, section, isGlobal}],
+    // code: [{start, end}]} where code lists the executable sections (the ELF headers share their segment)
+    parse(bytes) {
+        if (!(bytes instanceof Uint8Array)) {
+            bytes = new Uint8Array(bytes);
+        }
+        if (bytes.length < 64 || ELF_MAGIC.some((byte, i) => bytes[i] !== byte)) {
+            throw new Error('Invalid ELF file: missing \\x7FELF header');
+        }
+        if (bytes[4] !== ELFCLASS64 || bytes[5] !== ELFDATA2LSB) {
+            throw new Error('Invalid ELF file: only little-endian ELF64 is supported');
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const type = view.getUint16(16, true);
+        const machine = view.getUint16(18, true);
+        if (machine !== EM_AARCH64) {
+            throw new Error(`Invalid ELF file: machine ${machine} is not AArch64 (${EM_AARCH64})`);
+        }
+        if (type === ET_DYN) {
+            throw new Error('Invalid ELF file: position-independent executables are not supported (link with ld, or gcc -static -no-pie)');
+        }
+        if (type !== ET_EXEC) {
+            throw new Error(`Invalid ELF file: type ${type} is not an executable (ET_EXEC)`);
+        }
+
+        const entry = view.getBigUint64(24, true);
+        const segments = this.readSegments(bytes, view);
+        if (segments.length === 0) {
+            throw new Error('Invalid ELF file: no PT_LOAD segments');
+        }
+        const sections = this.readSections(bytes, view);
+        let code = sections
+            .filter(section => (section.flags & BigInt(SHF_EXECINSTR)) && section.type !== SHT_NOBITS && section.size > 0)
+            .map(section => ({ start: section.addr, end: section.addr + BigInt(section.size) }));
+        if (code.length === 0) {
+            // No section headers: fall back to the executable segments
+            code = segments
+                .filter(segment => segment.flags & PF_X)
+                .map(segment => ({ start: segment.vaddr, end: segment.vaddr + BigInt(segment.data.length) }));
+        }
+        return { entry: entry, segments: segments, symbols: this.readSymbols(bytes, view, sections), code: code };
+    }
+
+    readSegments(bytes, view) {
+        const phoff = Number(view.getBigUint64(32, true));
+        const phentsize = view.getUint16(54, true);
+        const phnum = view.getUint16(56, true);
+        const segments = [];
+        for (let i = 0; i < phnum; i++) {
+            const header = phoff + i * phentsize;
+            this.checkRange(bytes, header, 56, 'program header');
+            const type = view.getUint32(header, true);
+            if (type === PT_INTERP || type === PT_DYNAMIC) {
+                throw new Error('Invalid ELF file: dynamically linked executables are not supported (link statically)');
+            }
+            if (type !== PT_LOAD) {
+                continue;
+            }
+            const offset = Number(view.getBigUint64(header + 8, true));
+            const filesz = Number(view.getBigUint64(header + 32, true));
+            const memsz = view.getBigUint64(header + 40, true);
+            this.checkRange(bytes, offset, filesz, 'segment');
+            if (memsz === 0n) {
+                continue;
+            }
+            segments.push({
+                vaddr: view.getBigUint64(header + 16, true),
+                memsz: memsz,
+                flags: view.getUint32(header + 4, true),
+                data: bytes.subarray(offset, offset + filesz)
+            });
+        }
+        return segments;
+    }
+
+    readSections(bytes, view) {
+        const shoff = Number(view.getBigUint64(40, true));
+        const shentsize = view.getUint16(58, true);
+        const shnum = view.getUint16(60, true);
+        const sections = [];
+        if (shoff === 0) {
+            return sections;
+        }
+        for (let i = 0; i < shnum; i++) {
+            const header = shoff + i * shentsize;
+            this.checkRange(bytes, header, 64, 'section header');
+            sections.push({
+                type: view.getUint32(header + 4, true),
+                flags: view.getBigUint64(header + 8, true),
+                addr: view.getBigUint64(header + 16, true),
+                offset: Number(view.getBigUint64(header + 24, true)),
+                size: Number(view.getBigUint64(header + 32, true)),
+                link: view.getUint32(header + 40, true)
+            });
+        }
+        return sections;
+    }
+
+    readSymbols(bytes, view, sections) {
+        // Symbols from .symtab; stripped binaries simply have none
+        const symtab = sections.find(section => section.type === SHT_SYMTAB);
+        if (!symtab || !sections[symtab.link]) {
+            return [];
+        }
+        const strtab = sections[symtab.link];
+        this.checkRange(bytes, symtab.offset, symtab.size, '.symtab');
+        this.checkRange(bytes, strtab.offset, strtab.size, '.strtab');
+
+        const symbols = [];
+        for (let offset = symtab.offset; offset + 24 <= symtab.offset + symtab.size; offset += 24) {
+            const name = this.readString(bytes, strtab.offset + view.getUint32(offset, true));
+            const info = bytes[offset + 4];
+            const shndx = view.getUint16(offset + 6, true);
+            const symbolType = info & 0xF;
+            // Skip unnamed, file and section symbols, undefined references and
+            // the $x/$d mapping symbols that mark code and data
+            if (!name || name.startsWith('$') || symbolType === STT_FILE || symbolType === STT_SECTION || shndx === SHN_UNDEF) {
+                continue;
+            }
+            symbols.push({
+                name: name,
+                value: view.getBigUint64(offset + 8, true),
+                section: shndx === SHN_ABS ? 'absolute' : this.sectionKind(sections[shndx]),
+                isGlobal: (info >> 4) === STB_GLOBAL || (info >> 4) === STB_WEAK
+            });
+        }
+        return symbols;
+    }
+
+    sectionKind(section) {
+        // The simulator's section names: text, rodata, data or bss
+        if (!section) {
+            return 'data';
+        }
+        if (section.flags & BigInt(SHF_EXECINSTR)) {
+            return 'text';
+        }
+        if (section.flags & BigInt(SHF_WRITE)) {
+            return section.type === SHT_NOBITS ? 'bss' : 'data';
+        }
+        return 'rodata';
+    }
+
+    readString(bytes, offset) {
+        let str = '';
+        while (offset < bytes.length && bytes[offset] !== 0) {
+            str += String.fromCharCode(bytes[offset++]);
+        }
+        return str;
+    }
+
+    checkRange(bytes, offset, length, what) {
+        if (offset < 0 || offset + length > bytes.length) {
+            throw new Error(`Invalid ELF file: ${what} at offset 0x${offset.toString(16)} runs past the end of the file`);
+        }
+    }
+
+    permissions(flags) {
+        // "r-x" style permission string for a segment
+        return `${flags & PF_R ? 'r' : '-'}${flags & PF_W ? 'w' : '-'}${flags & PF_X ? 'x' : '-'}`;
+    }
+
+    // Write an assembled program ({instructions, dataInitializations, libraryStubs, symbolTable,
+    // sectionCounters, entry}) as an ELF file. An executable (ET_EXEC) keeps the simulator's addresses
+    // and runs as-is; a relocatable object (ET_REL) has section-relative symbols and relocations,
+    // so it can be linked with ld or gcc (library functions become undefined symbols)
+    write(program, relocatable = false) {
+        if (!relocatable && program.libraryStubs.size > 0) {
+            throw new Error(`Cannot write an executable that calls simulator library functions (${[...program.libraryStubs.keys()].join(', ')}): ` +
+                'export a relocatable object and link it with gcc instead');
+        }
+        const sections = this.buildSections(program, relocatable);
+        const symbols = this.buildSymbols(program, sections, relocatable);
+        const symbolIndex = new Map(symbols.map((symbol, i) => [symbol.name, i + 1]));
+
+        // Section headers: null, .text/.rodata/.data/.bss, .rela.* (objects only), .symtab, .strtab, .shstrtab
+        const relaSections = sections.filter(section => section.relocations.length > 0);
+        const symtabIndex = 1 + sections.length + relaSections.length;
+        const strtab = this.stringTable(symbols.map(symbol => symbol.name));
+        const shstrtab = this.stringTable([...sections.map(section => section.name),
+            ...relaSections.map(section => `.rela${section.name}`), '.symtab', '.strtab', '.shstrtab']);
+        const segments = relocatable ? [] : sections.filter(section => section.size > 0);
+
+        // File layout: ELF header, program headers, section contents, then the section header table
+        let offset = 64 + segments.length * 56;
+        for (const section of sections) {
+            if (section.type === SHT_NOBITS) {
+                // No file bytes: an executable's segment only needs a page-aligned offset
+                section.offset = relocatable ? offset : offset - offset % SEGMENT_ALIGN;
+                continue;
+            }
+            offset = this.alignUp(offset, relocatable ? section.align : SEGMENT_ALIGN);
+            section.offset = offset;
+            offset += section.bytes.length;
+        }
+        for (const section of relaSections) {
+            section.relaOffset = offset = this.alignUp(offset, 8);
+            offset += section.relocations.length * 24;
+        }
+        const symtabOffset = offset = this.alignUp(offset, 8);
+        offset += (symbols.length + 1) * 24;
+        const strtabOffset = offset;
+        offset += strtab.bytes.length;
+        const shstrtabOffset = offset;
+        offset += shstrtab.bytes.length;
+        const shoff = this.alignUp(offset, 8);
+        const shnum = symtabIndex + 3;
+
+        const bytes = new Uint8Array(shoff + shnum * 64);
+        const view = new DataView(bytes.buffer);
+        bytes.set(ELF_MAGIC, 0);
+        bytes[4] = ELFCLASS64;
+        bytes[5] = ELFDATA2LSB;
+        bytes[6] = 1; // EI_VERSION
+        view.setUint16(16, relocatable ? ET_REL : ET_EXEC, true);
+        view.setUint16(18, EM_AARCH64, true);
+        view.setUint32(20, 1, true); // e_version
+        view.setBigUint64(24, relocatable ? 0n : program.entry, true);
+        view.setBigUint64(32, BigInt(segments.length > 0 ? 64 : 0), true);
+        view.setBigUint64(40, BigInt(shoff), true);
+        view.setUint16(52, 64, true); // e_ehsize
+        view.setUint16(54, segments.length > 0 ? 56 : 0, true);
+        view.setUint16(56, segments.length, true);
+        view.setUint16(58, 64, true);
+        view.setUint16(60, shnum, true);
+        view.setUint16(62, shnum - 1, true); // .shstrtab is last
+
+        segments.forEach((section, i) => {
+            const header = 64 + i * 56;
+            view.setUint32(header, PT_LOAD, true);
+            view.setUint32(header + 4, section.segmentFlags, true);
+            view.setBigUint64(header + 8, BigInt(section.offset), true);
+            view.setBigUint64(header + 16, section.start, true); // p_vaddr
+            view.setBigUint64(header + 24, section.start, true); // p_paddr
+            view.setBigUint64(header + 32, BigInt(section.bytes.length), true);
+            view.setBigUint64(header + 40, BigInt(section.size), true);
+            view.setBigUint64(header + 48, BigInt(SEGMENT_ALIGN), true);
+        });
+
+        for (const section of sections) {
+            bytes.set(section.bytes, section.offset);
+        }
+        for (const section of relaSections) {
+            section.relocations.forEach((relocation, i) => {
+                const entry = section.relaOffset + i * 24;
+                view.setBigUint64(entry, BigInt(relocation.offset), true);
+                view.setBigUint64(entry + 8, BigInt(symbolIndex.get(relocation.symbol)) << 32n | BigInt(relocation.type), true);
+                view.setBigInt64(entry + 16, 0n, true); // r_addend: relocations name the symbol itself
+            });
+        }
+        symbols.forEach((symbol, i) => {
+            const entry = symtabOffset + (i + 1) * 24;
+            view.setUint32(entry, strtab.offsets.get(symbol.name), true);
+            bytes[entry + 4] = (symbol.isGlobal ? STB_GLOBAL : STB_LOCAL) << 4; // STT_NOTYPE, as for a plain label
+            view.setUint16(entry + 6, symbol.shndx, true);
+            view.setBigUint64(entry + 8, symbol.value, true);
+        });
+        bytes.set(strtab.bytes, strtabOffset);
+        bytes.set(shstrtab.bytes, shstrtabOffset);
+
+        // Section header table
+        const writeSectionHeader = (index, name, fields) => {
+            const header = shoff + index * 64;
+            view.setUint32(header, shstrtab.offsets.get(name), true);
+            view.setUint32(header + 4, fields.type, true);
+            view.setBigUint64(header + 8, BigInt(fields.flags || 0), true);
+            view.setBigUint64(header + 16, fields.addr || 0n, true);
+            view.setBigUint64(header + 24, BigInt(fields.offset), true);
+            view.setBigUint64(header + 32, BigInt(fields.size), true);
+            view.setUint32(header + 40, fields.link || 0, true);
+            view.setUint32(header + 44, fields.info || 0, true);
+            view.setBigUint64(header + 48, BigInt(fields.align || 1), true);
+            view.setBigUint64(header + 56, BigInt(fields.entsize || 0), true);
+        };
+        sections.forEach((section, i) => writeSectionHeader(i + 1, section.name, {
+            type: section.type, flags: section.flags, addr: relocatable ? 0n : section.start,
+            offset: section.offset, size: section.size, align: section.align
+        }));
+        relaSections.forEach((section, i) => writeSectionHeader(1 + sections.length + i, `.rela${section.name}`, {
+            type: SHT_RELA, flags: SHF_INFO_LINK, offset: section.relaOffset, size: section.relocations.length * 24,
+            link: symtabIndex, info: sections.indexOf(section) + 1, align: 8, entsize: 24
+        }));
+        writeSectionHeader(symtabIndex, '.symtab', {
+            type: SHT_SYMTAB, offset: symtabOffset, size: (symbols.length + 1) * 24, link: symtabIndex + 1,
+            info: 1 + symbols.filter(symbol => !symbol.isGlobal).length, align: 8, entsize: 24
+        });
+        writeSectionHeader(symtabIndex + 1, '.strtab', { type: SHT_STRTAB, offset: strtabOffset, size: strtab.bytes.length });
+        writeSectionHeader(symtabIndex + 2, '.shstrtab', { type: SHT_STRTAB, offset: shstrtabOffset, size: shstrtab.bytes.length });
+        return bytes;
+    }
+
+    buildSections(program, relocatable) {
+        // Section contents from the data initializations (the machine words are among them), plus
+        // the relocations an object file needs for label addresses
+        const layout = this.simulator.memoryLayout;
+        const sections = ELF_SECTIONS.map(section => {
+            const size = Number(program.sectionCounters[section.kind] - layout[section.kind].start);
+            return { ...section, start: layout[section.kind].start, size: size,
+                bytes: new Uint8Array(section.type === SHT_NOBITS ? 0 : size), relocations: [] };
+        });
+        const byKind = new Map(sections.map(section => [section.kind, section]));
+
+        for (const init of program.dataInitializations) {
+            const section = byKind.get(init.section);
+            const offset = Number(init.address - section.start);
+            // .bss is all zeros; library stub slots lie past the end of .text
+            if (init.isBSS || offset + init.size > section.bytes.length) {
+                continue;
+            }
+            const value = BigInt.asUintN(init.size * 8, init.value);
+            for (let i = 0; i < init.size; i++) {
+                section.bytes[offset + i] = Number((value >> BigInt(i * 8)) & 0xFFn);
+            }
+            if (relocatable && init.symbol) {
+                // .quad label, .word label and "ldr xN, =label" literals: the linker stores the address
+                const type = { 8: R_AARCH64_ABS64, 4: R_AARCH64_ABS32, 2: R_AARCH64_ABS16 }[init.size];
+                if (!type) {
+                    throw new Error(`Cannot relocate the address of '${init.symbol}' in a ${init.size}-byte value`);
+                }
+                section.relocations.push({ offset: offset, symbol: init.symbol, type: type });
+                section.bytes.fill(0, offset, offset + init.size);
+            }
+        }
+
+        if (relocatable) {
+            const text = byKind.get('text');
+            const view = new DataView(text.bytes.buffer);
+            for (const instruction of program.instructions) {
+                const type = this.relocationType(instruction.parsed, program);
+                if (type) {
+                    const offset = Number(instruction.address - text.start);
+                    text.relocations.push({ offset: offset, symbol: instruction.parsed.label, type: type });
+                    // The linker fills in the immediate field; it is left as zero, as the assembler does
+                    view.setUint32(offset, (view.getUint32(offset, true) & ~RELOCATION_FIELDS.get(type)) >>> 0, true);
+                }
+            }
+            for (const section of sections) {
+                section.relocations.sort((a, b) => a.offset - b.offset);
+            }
+        }
+        return sections;
+    }
+
+    relocationType(parsed, program) {
+        // Relocation for an instruction that refers to a label, or null when the assembled word is
+        // already right wherever the linker puts .text (PC-relative references within .text)
+        const { opcode, label } = parsed;
+        if (!label) {
+            return null;
+        }
+        if (opcode === 'bl' && program.libraryStubs.has(label)) {
+            return R_AARCH64_CALL26;
+        }
+        if (opcode === 'adrp') {
+            return R_AARCH64_ADR_PREL_PG_HI21;
+        }
+        if (opcode === 'add' && parsed.labelOp === 'lo12') {
+            return R_AARCH64_ADD_ABS_LO12_NC;
+        }
+        const symbol = program.symbolTable.get(label);
+        if (symbol && symbol.section !== 'text') {
+            if (opcode === 'adr') {
+                return R_AARCH64_ADR_PREL_LO21;
+            }
+            if (opcode === 'ldr' || opcode === 'ldrsw') {
+                return R_AARCH64_LD_PREL_LO19;
+            }
+        }
+        return null;
+    }
+
+    buildSymbols(program, sections, relocatable) {
+        // .symtab entries after the null symbol: locals must come before globals
+        const symbols = [];
+        for (const [name, info] of program.symbolTable) {
+            let shndx = SHN_ABS;
+            let value = info.address;
+            if (info.section !== 'absolute') {
+                const index = sections.findIndex(section => section.kind === info.section);
+                shndx = index + 1;
+                if (relocatable) {
+                    value -= sections[index].start;
+                }
+            }
+            symbols.push({ name: name, value: value, shndx: shndx, isGlobal: !!info.isGlobal });
+        }
+        if (relocatable) {
+            // Library functions called with bl are left for the linker to find in libc
+            for (const name of program.libraryStubs.keys()) {
+                symbols.push({ name: name, value: 0n, shndx: SHN_UNDEF, isGlobal: true });
+            }
+        }
+        return [...symbols.filter(symbol => !symbol.isGlobal), ...symbols.filter(symbol => symbol.isGlobal)];
+    }
+
+    stringTable(names) {
+        // String table bytes (starting with the empty string) and the offset of each name
+        const bytes = [0];
+        const offsets = new Map();
+        for (const name of names) {
+            if (!offsets.has(name)) {
+                offsets.set(name, bytes.length);
+                for (let i = 0; i < name.length; i++) {
+                    bytes.push(name.charCodeAt(i) & 0xFF);
+                }
+                bytes.push(0);
+            }
+        }
+        return { bytes: Uint8Array.from(bytes), offsets: offsets };
+    }
+
+    alignUp(offset, align) {
+        return Math.ceil(offset / align) * align;
+    }
+}
@@ -0,0 +1,854 @@
+// ARM64 Encoder - assembles parsed instructions into 32-bit A64 machine words
+// Every operand combination the parser accepts either gets its real encoding here or is
+// rejected at load time, so a program that loads is one a real assembler would accept.
+
+// Shift and extend fields of the shifted/extended register forms
+const SHIFT_TYPES = { lsl: 0, lsr: 1, asr: 2, ror: 3 };
+const EXTEND_TYPES = { uxtb: 0, uxth: 1, uxtw: 2, uxtx: 3, sxtb: 4, sxth: 5, sxtw: 6, sxtx: 7 };
+
+class ARM64Encoder {
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    // Encode one entry of simulator.instructions; returns the word as an unsigned 32-bit Number
+    encode(instruction) {
+        const parsed = instruction.parsed;
+        const word = parsed.vector
+            ? this.encodeVector(parsed)
+            : this.encodeScalar(parsed, instruction.address);
+        return word >>> 0;
+    }
+
+    encodeScalar(parsed, address) {
+        const opcode = parsed.opcode;
+        switch (opcode) {
+            case 'mov':
+                return this.encodeMov(parsed);
+
+            case 'movz':
+            case 'movn':
+            case 'movk': {
+                // sf opc 100101 hw imm16 Rd
+                const base = { movn: 0x12800000, movz: 0x52800000, movk: 0x72800000 }[opcode];
+                return base | this.sf(parsed.dest) << 31 | (parsed.shiftAmount / 16) << 21 |
+                    Number(parsed.immediate) << 5 | this.reg(parsed.dest);
+            }
+
+            case 'add':
+            case 'adds':
+            case 'sub':
+            case 'subs':
+            case 'cmp':
+            case 'cmn':
+            case 'neg':
+            case 'negs':
+                return this.encodeAddSub(parsed, opcode);
+
+            case 'ccmp':
+            case 'ccmn': {
+                // sf op 1 11010010 Rm|imm5 cond 1? 0 Rn 0 nzcv
+                const base = opcode === 'ccmp' ? 0x7A400000 : 0x3A400000;
+                const operand = parsed.immediate !== undefined
+                    ? 0x800 | Number(parsed.immediate) << 16
+                    : this.reg(parsed.src2) << 16;
+                this.checkSameWidth(opcode, [parsed.src1, parsed.src2]);
+                return base | this.sf(parsed.src1) << 31 | operand |
+                    this.condition(parsed.condition) << 12 | this.reg(parsed.src1) << 5 | parsed.nzcv;
+            }
+
+            case 'and':
+            case 'ands':
+            case 'orr':
+            case 'eor':
+            case 'bic':
+            case 'tst':
+            case 'mvn':
+                return this.encodeLogical(parsed, opcode);
+
+            case 'adc':
+            case 'adcs':
+            case 'sbc':
+            case 'sbcs':
+            case 'ngc':
+            case 'ngcs': {
+                // sf op S 11010000 Rm 000000 Rn Rd; ngc/ngcs are sbc/sbcs from the zero register
+                const base = { adc: 0x1A000000, adcs: 0x3A000000, sbc: 0x5A000000, sbcs: 0x7A000000,
+                    ngc: 0x5A000000, ngcs: 0x7A000000 }[opcode];
+                const rn = parsed.src1 ? this.reg(parsed.src1) : 31;
+                return base | this.sf(parsed.dest) << 31 | this.reg(parsed.src2) << 16 | rn << 5 | this.reg(parsed.dest);
+            }
+
+            case 'clz':
+            case 'cls':
+            case 'rbit':
+            case 'rev':
+            case 'rev16':
+            case 'rev32': {
+                // Data-processing (1 source): sf 1 0 11010110 00000 opcode Rn Rd
+                const sf = this.sf(parsed.dest);
+                const opc = { rbit: 0, rev16: 1, rev32: 2, rev: sf ? 3 : 2, clz: 4, cls: 5 }[opcode];
+                return 0x5AC00000 | sf << 31 | opc << 10 | this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+            }
+
+            case 'fadd':
+            case 'fsub':
+            case 'fmul':
+            case 'fdiv': {
+                // 0 0 0 11110 ftype 1 Rm opcode 10 Rn Rd
+                const opc = { fmul: 0, fdiv: 1, fadd: 2, fsub: 3 }[opcode];
+                return 0x1E200800 | this.ftype(parsed.dest) << 22 | this.reg(parsed.src2) << 16 |
+                    opc << 12 | this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+            }
+
+            case 'fabs':
+            case 'fneg':
+            case 'fsqrt': {
+                // Floating-point data-processing (1 source): 0 0 0 11110 ftype 1 opcode 10000 Rn Rd
+                const opc = { fabs: 1, fneg: 2, fsqrt: 3 }[opcode];
+                return 0x1E204000 | this.ftype(parsed.dest) << 22 | opc << 15 |
+                    this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+            }
+
+            case 'fcsel':
+                return 0x1E200C00 | this.ftype(parsed.dest) << 22 | this.reg(parsed.src2) << 16 |
+                    this.condition(parsed.condition) << 12 | this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+
+            case 'fmov':
+                return this.encodeFmov(parsed);
+
+            case 'fcmp': {
+                // 0 0 0 11110 ftype 1 Rm 001000 Rn 0 0 000; opcode2 bit 3 selects the #0.0 form
+                const rm = parsed.src2 ? this.reg(parsed.src2) : 0;
+                const zero = parsed.src2 ? 0 : 0x8;
+                return 0x1E202000 | this.ftype(parsed.src1) << 22 | rm << 16 | this.reg(parsed.src1) << 5 | zero;
+            }
+
+            case 'fcvt':
+                // 1-source opcode 0001:opc, where opc is the destination precision
+                return 0x1E224000 | this.ftype(parsed.src1) << 22 | this.ftype(parsed.dest) << 15 |
+                    this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+
+            case 'fcvtzs':
+            case 'fcvtzu':
+            case 'scvtf':
+            case 'ucvtf': {
+                // Conversion between FP and integer: sf 0 0 11110 ftype 1 rmode opcode 000000 Rn Rd
+                const base = { fcvtzs: 0x1E380000, fcvtzu: 0x1E390000, scvtf: 0x1E220000, ucvtf: 0x1E230000 }[opcode];
+                const intReg = opcode.startsWith('fcvt') ? parsed.dest : parsed.src1;
+                const fpReg = opcode.startsWith('fcvt') ? parsed.src1 : parsed.dest;
+                return base | this.sf(intReg) << 31 | this.ftype(fpReg) << 22 |
+                    this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+            }
+
+            case 'mul':
+            case 'mneg':
+            case 'madd':
+            case 'msub':
+            case 'smull':
+            case 'umull':
+            case 'smulh':
+            case 'umulh': {
+                // Data-processing (3 source): sf 00 11011 op31 Rm o0 Ra Rn Rd; mul/mneg/smull/... use Ra = zr
+                const base = { mul: 0x1B000000, madd: 0x1B000000, mneg: 0x1B008000, msub: 0x1B008000,
+                    smull: 0x9B200000, umull: 0x9BA00000, smulh: 0x9B400000, umulh: 0x9BC00000 }[opcode];
+                const sf = ['smull', 'umull', 'smulh', 'umulh'].includes(opcode) ? 0 : this.sf(parsed.dest);
+                const ra = parsed.src3 ? this.reg(parsed.src3) : 31;
+                return base | sf << 31 | this.reg(parsed.src2) << 16 | ra << 10 |
+                    this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+            }
+
+            case 'sdiv':
+            case 'udiv': {
+                // Data-processing (2 source): sf 0 0 11010110 Rm 00001 o1 Rn Rd
+                const base = opcode === 'sdiv' ? 0x1AC00C00 : 0x1AC00800;
+                return base | this.sf(parsed.dest) << 31 | this.reg(parsed.src2) << 16 |
+                    this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+            }
+
+            case 'csel':
+            case 'csinc':
+            case 'csinv':
+            case 'csneg':
+            case 'cset':
+            case 'csetm':
+            case 'cinc':
+            case 'cinv':
+            case 'cneg':
+                return this.encodeConditionalSelect(parsed, opcode);
+
+            case 'ubfm':
+            case 'sbfm':
+            case 'bfm':
+            case 'ubfx':
+            case 'sbfx':
+            case 'bfxil':
+            case 'ubfiz':
+            case 'sbfiz':
+            case 'bfi':
+            case 'sxtb':
+            case 'sxth':
+            case 'sxtw':
+            case 'uxtb':
+            case 'uxth':
+                return this.encodeBitfield(parsed);
+
+            case 'extr': {
+                // sf 00 100111 N 0 Rm imms Rn Rd
+                const sf = this.sf(parsed.dest);
+                return 0x13800000 | sf << 31 | sf << 22 | this.reg(parsed.src2) << 16 |
+                    Number(parsed.immediate) << 10 | this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+            }
+
+            case 'lsl':
+            case 'lsr':
+            case 'asr':
+            case 'ror':
+                return this.encodeShift(parsed, opcode);
+
+            case 'b':
+            case 'bl': {
+                // op 00101 imm26 (+-128MB)
+                const base = opcode === 'bl' ? 0x94000000 : 0x14000000;
+                const target = this.resolveLabel(parsed, opcode === 'bl');
+                return base | this.branchOffset(opcode, target, address, 26);
+            }
+
+            case 'cbz':
+            case 'cbnz': {
+                // sf 011010 op imm19 Rt (+-1MB)
+                const base = opcode === 'cbz' ? 0x34000000 : 0x35000000;
+                const target = this.resolveLabel(parsed);
+                return base | this.sf(parsed.src) << 31 | this.branchOffset(opcode, target, address, 19) << 5 |
+                    this.reg(parsed.src);
+            }
+
+            case 'tbz':
+            case 'tbnz': {
+                // b5 011011 op b40 imm14 Rt (+-32KB)
+                const base = opcode === 'tbz' ? 0x36000000 : 0x37000000;
+                const target = this.resolveLabel(parsed);
+                return base | (parsed.bit >> 5) << 31 | (parsed.bit & 0x1F) << 19 |
+                    this.branchOffset(opcode, target, address, 14) << 5 | this.reg(parsed.src);
+            }
+
+            case 'br':
+            case 'blr':
+            case 'ret': {
+                // Unconditional branch (register): 1101011 opc 11111 000000 Rn 00000
+                const base = { br: 0xD61F0000, blr: 0xD63F0000, ret: 0xD65F0000 }[opcode];
+                return base | (parsed.src ? this.reg(parsed.src) : 30) << 5;
+            }
+
+            case 'adr':
+            case 'adrp': {
+                // op immlo 10000 immhi Rd: adr reaches +-1MB, adrp +-4GB in 4KB pages
+                const target = this.resolveLabel(parsed);
+                let offset = target - address;
+                if (opcode === 'adrp') {
+                    offset = (target >> 12n) - (address >> 12n);
+                }
+                if (offset < -(1n << 20n) || offset >= (1n << 20n)) {
+                    if (opcode === 'adr') {
+                        // .data and .bss lie 2-3MB above the code, out of reach of adr: name the adrp/add pair instead
+                        const rd = parsed.dest.name;
+                        throw new Error(`Invalid adr instruction: '${parsed.label}' at 0x${target.toString(16).toUpperCase()} is out of range ` +
+                            `(adr reaches +-1MB); use "adrp ${rd}, ${parsed.label}" then "add ${rd}, ${rd}, :lo12:${parsed.label}"`);
+                    }
+                    throw new Error(`Invalid adrp instruction: '${parsed.label}' is out of range (+-4GB)`);
+                }
+                const imm = Number(offset & 0x1FFFFFn);
+                return (opcode === 'adrp' ? 0x90000000 : 0x10000000) | (imm & 0x3) << 29 |
+                    (imm >> 2) << 5 | this.reg(parsed.dest);
+            }
+
+            case 'ldr':
+            case 'ldrb':
+            case 'ldrh':
+            case 'ldrsb':
+            case 'ldrsh':
+            case 'ldrsw':
+            case 'str':
+            case 'strb':
+            case 'strh':
+                return this.encodeLoadStore(parsed, opcode, address);
+
+            case 'ldp':
+            case 'stp':
+            case 'ldpsw': {
+                // opc 101 0 0 mode L imm7 Rt2 Rn Rt; mode is 001 post-index, 010 offset, 011 pre-index
+                const rt = opcode === 'stp' ? parsed.src : parsed.dest;
+                const rt2 = opcode === 'stp' ? parsed.src2 : parsed.dest2;
+                const opc = opcode === 'ldpsw' ? 1 : (rt.type === 'x' ? 2 : 0);
+                const mode = parsed.writeback === 'post' ? 1 : parsed.writeback === 'pre' ? 3 : 2;
+                const scale = BigInt(this.simulator.getLoadStoreSize(opcode, rt));
+                const imm7 = Number(((parsed.offset || 0n) / scale) & 0x7Fn);
+                return 0x28000000 | opc << 30 | mode << 23 | (opcode === 'stp' ? 0 : 1) << 22 | imm7 << 15 |
+                    this.reg(rt2) << 10 | this.reg(parsed.base) << 5 | this.reg(rt);
+            }
+
+            case 'svc':
+                return 0xD4000001 | Number(parsed.immediate) << 5;
+            case 'brk':
+                return 0xD4200000 | Number(parsed.immediate) << 5;
+            case 'hlt':
+                return 0xD4400000 | Number(parsed.immediate) << 5;
+            case 'udf':
+                return Number(parsed.immediate);
+
+            case 'nop':
+                return 0xD503201F;
+            case 'yield':
+                return 0xD503203F;
+            case 'wfe':
+                return 0xD503205F;
+            case 'wfi':
+                return 0xD503207F;
+
+            case 'mrs':
+            case 'msr': {
+                // 1101010100 L 1 o0 op1 CRn CRm op2 Rt, with o0 = op0 - 2
+                const { op0, op1, crn, crm, op2 } = SYSTEM_REGISTERS[parsed.sysreg];
+                const sysreg = (op0 - 2) << 14 | op1 << 11 | crn << 7 | crm << 3 | op2;
+                const base = opcode === 'mrs' ? 0xD5300000 : 0xD5100000;
+                return base | sysreg << 5 | this.reg(opcode === 'mrs' ? parsed.dest : parsed.src);
+            }
+
+            default:
+                if (this.simulator.isConditionalBranch(opcode)) {
+                    // 0101010 0 imm19 0 cond (+-1MB)
+                    const target = this.resolveLabel(parsed);
+                    return 0x54000000 | this.branchOffset(opcode, target, address, 19) << 5 |
+                        this.condition(parsed.condition);
+                }
+                throw new Error(`Invalid ${opcode} instruction: no A64 encoding`);
+        }
+    }
+
+    encodeMov(parsed) {
+        const dest = parsed.dest;
+        if (!dest) {
+            throw new Error(`Invalid mov instruction: missing destination register`);
+        }
+        const sf = this.sf(dest);
+
+        if (parsed.immediate !== undefined) {
+            const size = sf ? 64 : 32;
+            const mask = (1n << BigInt(size)) - 1n;
+            const value = parsed.immediate & mask;
+            if (this.isSP(dest)) {
+                // mov sp, #imm only exists as orr sp, zr, #bitmask
+                const bitmask = this.encodeBitmaskImmediate(value, size);
+                if (!bitmask) {
+                    throw new Error(`Invalid mov instruction: #0x${value.toString(16).toUpperCase()} is not a bitmask immediate, so it cannot be moved into ${dest}`);
+                }
+                return 0x32000000 | sf << 31 | this.bitmaskFields(bitmask) | 31 << 5 | 31;
+            }
+            // MOVZ if the value is one 16-bit chunk, otherwise MOVN of its inverse
+            const inverse = ~value & mask;
+            for (let hw = 0; hw < size / 16; hw++) {
+                const shift = BigInt(hw * 16);
+                if ((value & ~(0xFFFFn << shift) & mask) === 0n) {
+                    return 0x52800000 | sf << 31 | hw << 21 | Number(value >> shift) << 5 | this.reg(dest);
+                }
+                if ((inverse & ~(0xFFFFn << shift) & mask) === 0n) {
+                    return 0x12800000 | sf << 31 | hw << 21 | Number(inverse >> shift) << 5 | this.reg(dest);
+                }
+            }
+            throw new Error(`MOV immediate value 0x${value.toString(16).toUpperCase()} cannot be encoded using MOVZ/MOVN. Valid immediates must be a 16-bit value shifted by 0, 16, 32, 48 (for 64-bit) or 0, 16 (for 32-bit), or their bitwise NOT. Enable wide immediate expansion to build it with movz/movk.`);
+        }
+
+        const src = parsed.src;
+        if (!src) {
+            throw new Error(`Invalid mov instruction: missing source register`);
+        }
+        this.checkSameWidth('mov', [dest, src]);
+        if (this.isSP(dest) || this.isSP(src)) {
+            // mov to/from sp is add Rd, Rn, #0
+            return 0x11000000 | sf << 31 | this.reg(src) << 5 | this.reg(dest);
+        }
+        // Otherwise orr Rd, zr, Rm
+        return 0x2A0003E0 | sf << 31 | this.reg(src) << 16 | this.reg(dest);
+    }
+
+    encodeAddSub(parsed, opcode) {
+        // cmp/cmn are subs/adds into the zero register; neg/negs are sub/subs from it
+        let isSub = ['sub', 'subs', 'cmp', 'neg', 'negs'].includes(opcode);
+        const setsFlags = ['adds', 'subs', 'cmp', 'cmn', 'negs'].includes(opcode) ? 1 : 0;
+        const dest = (opcode === 'cmp' || opcode === 'cmn') ? null : parsed.dest;
+        const src1 = (opcode === 'neg' || opcode === 'negs') ? null : parsed.src1;
+        const widthReg = dest || src1;
+        if (!widthReg) {
+            throw new Error(`Invalid ${opcode} instruction: missing operands`);
+        }
+        const sf = this.sf(widthReg);
+        const rd = dest ? this.reg(dest) : 31;
+        const rn = src1 ? this.reg(src1) : 31;
+
+        if (parsed.immediate !== undefined || parsed.labelOp === 'lo12') {
+            // sf op S 100010 sh imm12 Rn Rd
+            this.checkSameWidth(opcode, [dest, src1]);
+            let imm = parsed.labelOp === 'lo12'
+                ? this.resolveLabel(parsed) & 0xFFFn
+                : parsed.immediate;
+            if (imm < 0n) {
+                // add #-n is sub #n (and vice versa), as assemblers do
+                imm = -imm;
+                isSub = !isSub;
+            }
+            let shift = 0;
+            if (imm > 0xFFFn) {
+                if ((imm & 0xFFFn) !== 0n || (imm >> 12n) > 0xFFFn) {
+                    throw new Error(`Invalid ${opcode} immediate ${parsed.immediate}: must be a 12-bit value, optionally shifted left by 12`);
+                }
+                imm >>= 12n;
+                shift = 1;
+            }
+            return 0x11000000 | sf << 31 | (isSub ? 1 : 0) << 30 | setsFlags << 29 | shift << 22 |
+                Number(imm) << 10 | rn << 5 | rd;
+        }
+
+        if (!parsed.src2) {
+            throw new Error(`Invalid ${opcode} instruction: missing second operand`);
+        }
+        const rm = this.reg(parsed.src2);
+        const amount = parsed.shiftAmount || 0;
+        const usesSP = this.isSP(dest) || this.isSP(src1);
+        if (parsed.extendType || (usesSP && (!parsed.shiftType || (parsed.shiftType === 'lsl' && amount <= 4)))) {
+            // Extended register: sf op S 01011 00 1 Rm option imm3 Rn Rd
+            // A plain or "lsl #0-4" register next to sp is uxtx (uxtw for 32-bit)
+            const option = parsed.extendType ? EXTEND_TYPES[parsed.extendType] : (sf ? 3 : 2);
+            return 0x0B200000 | sf << 31 | (isSub ? 1 : 0) << 30 | setsFlags << 29 | rm << 16 |
+                option << 13 | amount << 10 | rn << 5 | rd;
+        }
+        // Shifted register: sf op S 01011 shift 0 Rm imm6 Rn Rd
+        this.checkSameWidth(opcode, [dest, src1, parsed.src2]);
+        return 0x0B000000 | sf << 31 | (isSub ? 1 : 0) << 30 | setsFlags << 29 |
+            SHIFT_TYPES[parsed.shiftType || 'lsl'] << 22 | rm << 16 | amount << 10 | rn << 5 | rd;
+    }
+
+    encodeLogical(parsed, opcode) {
+        const dest = opcode === 'tst' ? null : parsed.dest;
+        const widthReg = dest || parsed.src1;
+        if (!widthReg || !parsed.src1) {
+            throw new Error(`Invalid ${opcode} instruction: missing operands`);
+        }
+        const sf = this.sf(widthReg);
+        const rd = dest ? this.reg(dest) : 31;
+
+        const amount = parsed.shiftAmount || 0;
+        if (amount >= (sf ? 64 : 32)) {
+            throw new Error(`Invalid ${opcode} shift amount ${amount}: must be in range 0-${sf ? 63 : 31}`);
+        }
+        if (opcode === 'mvn') {
+            // orn Rd, zr, Rm{, shift #amount}
+            this.checkSameWidth(opcode, [dest, parsed.src1]);
+            return 0x2A200000 | sf << 31 | SHIFT_TYPES[parsed.shiftType || 'lsl'] << 22 |
+                this.reg(parsed.src1) << 16 | amount << 10 | 31 << 5 | rd;
+        }
+
+        const opc = { and: 0, bic: 0, orr: 1, eor: 2, ands: 3, tst: 3 }[opcode];
+        if (parsed.immediate !== undefined) {
+            // sf opc 100100 N immr imms Rn Rd; bic #imm is and with the inverted immediate
+            this.checkSameWidth(opcode, [dest, parsed.src1]);
+            const size = sf ? 64 : 32;
+            const mask = (1n << BigInt(size)) - 1n;
+            let value = parsed.immediate & mask;
+            if (opcode === 'bic') {
+                value = ~value & mask;
+            }
+            const bitmask = this.encodeBitmaskImmediate(value, size);
+            if (!bitmask) {
+                throw new Error(`Invalid ${opcode} immediate #0x${(parsed.immediate & mask).toString(16).toUpperCase()}: not a bitmask immediate (a repeated 2-64 bit element holding one rotated run of ones)`);
+            }
+            return 0x12000000 | sf << 31 | opc << 29 | this.bitmaskFields(bitmask) |
+                this.reg(parsed.src1) << 5 | rd;
+        }
+
+        if (!parsed.src2) {
+            throw new Error(`Invalid ${opcode} instruction: missing second operand`);
+        }
+        // Shifted register: sf opc 01010 shift N Rm imm6 Rn Rd; N inverts Rm (bic)
+        this.checkSameWidth(opcode, [dest, parsed.src1, parsed.src2]);
+        return 0x0A000000 | sf << 31 | opc << 29 | SHIFT_TYPES[parsed.shiftType || 'lsl'] << 22 |
+            (opcode === 'bic' ? 1 : 0) << 21 | this.reg(parsed.src2) << 16 | amount << 10 |
+            this.reg(parsed.src1) << 5 | rd;
+    }
+
+    encodeConditionalSelect(parsed, opcode) {
+        // sf op S 11010100 Rm cond op2 Rn Rd
+        // cset/csetm/cinc/cinv/cneg are csinc/csinv/csneg with the condition inverted
+        const base = { csel: 0x1A800000, csinc: 0x1A800400, csinv: 0x5A800000, csneg: 0x5A800400,
+            cset: 0x1A800400, cinc: 0x1A800400, csetm: 0x5A800000, cinv: 0x5A800000, cneg: 0x5A800400 }[opcode];
+        const cond = this.condition(parsed.condition);
+        let rn, rm;
+        if (opcode === 'cset' || opcode === 'csetm') {
+            rn = 31;
+            rm = 31;
+        } else if (['cinc', 'cinv', 'cneg'].includes(opcode)) {
+            rn = this.reg(parsed.src1);
+            rm = rn;
+        } else {
+            rn = this.reg(parsed.src1);
+            rm = this.reg(parsed.src2);
+        }
+        const isAlias = !['csel', 'csinc', 'csinv', 'csneg'].includes(opcode);
+        return base | this.sf(parsed.dest) << 31 | rm << 16 | (isAlias ? cond ^ 1 : cond) << 12 |
+            rn << 5 | this.reg(parsed.dest);
+    }
+
+    encodeBitfield(parsed) {
+        // sf opc 100110 N immr imms Rn Rd (N = sf)
+        const base = { sbfm: 0x13000000, bfm: 0x33000000, ubfm: 0x53000000 }[parsed.bitfieldOp];
+        const sf = this.sf(parsed.dest);
+        return base | sf << 31 | sf << 22 | parsed.immr << 16 | parsed.imms << 10 |
+            this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+    }
+
+    encodeShift(parsed, opcode) {
+        const sf = this.sf(parsed.dest);
+        if (parsed.bitfieldOp) {
+            // lsl/lsr/asr #n are ubfm/sbfm aliases
+            return this.encodeBitfield(parsed);
+        }
+        if (parsed.immediate !== undefined) {
+            // ror #n is extr Rd, Rn, Rn, #n
+            const size = sf ? 64 : 32;
+            const amount = Number(parsed.immediate);
+            if (amount < 0 || amount >= size) {
+                throw new Error(`Invalid ror shift amount ${amount}: must be in range 0-${size - 1}`);
+            }
+            const rn = this.reg(parsed.src1);
+            return 0x13800000 | sf << 31 | sf << 22 | rn << 16 | amount << 10 | rn << 5 | this.reg(parsed.dest);
+        }
+        if (!parsed.src2) {
+            throw new Error(`Invalid ${opcode} instruction: missing shift amount`);
+        }
+        // lslv/lsrv/asrv/rorv: sf 0 0 11010110 Rm 0010 op2 Rn Rd
+        this.checkSameWidth(opcode, [parsed.dest, parsed.src1, parsed.src2]);
+        return 0x1AC02000 | sf << 31 | this.reg(parsed.src2) << 16 | SHIFT_TYPES[opcode] << 10 |
+            this.reg(parsed.src1) << 5 | this.reg(parsed.dest);
+    }
+
+    encodeFmov(parsed) {
+        const dest = parsed.dest;
+        const isFP = reg => reg.type === 's' || reg.type === 'd';
+        if (parsed.fpImmediate !== undefined) {
+            if (parsed.fpImmediate === 0 && !Object.is(parsed.fpImmediate, -0)) {
+                // #0.0 has no 8-bit form; assemblers use fmov from the zero register
+                return dest.type === 'd' ? 0x9E6703E0 | dest.num : 0x1E2703E0 | dest.num;
+            }
+            // 0 0 0 11110 ftype 1 imm8 100 00000 Rd
+            return 0x1E201000 | this.ftype(dest) << 22 | this.fpImmediate8(parsed.fpImmediate) << 13 | dest.num;
+        }
+        const src = parsed.src1;
+        if (isFP(dest) && isFP(src)) {
+            // 1-source opcode 000000
+            return 0x1E204000 | this.ftype(dest) << 22 | src.num << 5 | dest.num;
+        }
+        // General <-> FP register: opcode 110 (to general) or 111 (to FP), rmode 00
+        if (isFP(dest)) {
+            return (src.type === 'x' ? 0x9E670000 : 0x1E270000) | this.reg(src) << 5 | dest.num;
+        }
+        return (dest.type === 'x' ? 0x9E660000 : 0x1E260000) | src.num << 5 | this.reg(dest);
+    }
+
+    fpImmediate8(value) {
+        // value = +-(16 + frac)/16 * 2^r with frac 0-15 and r -3..4, packed as sign:b:cd:frac,
+        // where r <= 0 gives b=1, cd=r+3 and r > 0 gives b=0, cd=r-1
+        const sign = value < 0 ? 1 : 0;
+        const magnitude = Math.abs(value);
+        for (let r = -3; r <= 4; r++) {
+            const frac = magnitude / Math.pow(2, r) * 16 - 16;
+            if (frac >= 0 && frac <= 15 && Number.isInteger(frac)) {
+                const exponent = r <= 0 ? (1 << 2) | (r + 3) : r - 1;
+                return sign << 7 | exponent << 4 | frac;
+            }
+        }
+        throw new Error(`Invalid fmov immediate ${value}: must be ±n/16 × 2^r with n in 16-31 and r in -3..4`);
+    }
+
+    encodeLoadStore(parsed, opcode, address) {
+        const isStore = opcode.startsWith('st');
+        const rt = isStore ? parsed.src : parsed.dest;
+        if (!rt || typeof rt === 'string') {
+            throw new Error(`Invalid ${opcode} instruction: missing data register`);
+        }
+        const v = (rt.type === 's' || rt.type === 'd') ? 1 : 0;
+        const bytes = this.simulator.getLoadStoreSize(opcode, rt);
+        const size = Math.log2(bytes);
+        // opc: 00 store, 01 load, 10 load signed to X, 11 load signed to W
+        let opc = isStore ? 0 : 1;
+        if (opcode === 'ldrsb' || opcode === 'ldrsh') {
+            opc = rt.type === 'x' ? 2 : 3;
+        } else if (opcode === 'ldrsw') {
+            opc = 2;
+        }
+
+        if (parsed.literal !== undefined || parsed.label !== undefined) {
+            // Load (literal): opc 011 V 00 imm19 Rt; opc 00 = W/S, 01 = X/D, 10 = ldrsw
+            const target = parsed.literal !== undefined ? parsed.literalAddress : this.resolveLabel(parsed);
+            const literalOpc = opcode === 'ldrsw' ? 2 : (bytes === 8 ? 1 : 0);
+            return 0x18000000 | literalOpc << 30 | v << 26 |
+                this.branchOffset(opcode, target, address, 19) << 5 | this.reg(rt);
+        }
+
+        if (parsed.base === undefined || parsed.base === null) {
+            throw new Error(`Invalid ${opcode} instruction: missing base register`);
+        }
+        const rn = this.reg(parsed.base);
+        const common = size << 30 | v << 26 | opc << 22 | rn << 5 | this.reg(rt);
+
+        if (parsed.offsetType === 'immediate') {
+            const offset = parsed.offset || 0n;
+            if (parsed.writeback) {
+                // Pre/post-index: size 111 V 00 opc 0 imm9 11/01 Rn Rt
+                if (offset < -256n || offset > 255n) {
+                    throw new Error(`Invalid ${opcode} offset ${offset}: ${parsed.writeback}-indexed offsets must be in range -256 to 255`);
+                }
+                return 0x38000000 | common | Number(offset & 0x1FFn) << 12 | (parsed.writeback === 'pre' ? 3 : 1) << 10;
+            }
+            const scale = BigInt(bytes);
+            if (offset >= 0n && offset % scale === 0n && offset / scale <= 0xFFFn) {
+                // Unsigned offset: size 111 V 01 opc imm12 Rn Rt
+                return 0x39000000 | common | Number(offset / scale) << 10;
+            }
+            if (offset >= -256n && offset <= 255n) {
+                // Unscaled offset (ldur/stur): size 111 V 00 opc 0 imm9 00 Rn Rt
+                return 0x38000000 | common | Number(offset & 0x1FFn) << 12;
+            }
+            throw new Error(`Invalid ${opcode} offset ${offset}: must be a multiple of ${bytes} in range 0-${4095 * bytes}, or in range -256 to 255`);
+        }
+
+        // Register offset: size 111 V 00 opc 1 Rm option S 10 Rn Rt, with option 011 (lsl)
+        const rm = parsed.offsetReg;
+        if (!rm || typeof rm === 'string' || rm.type !== 'x') {
+            throw new Error(`Invalid ${opcode} instruction: offset register must be an X register`);
+        }
+        let s = 0;
+        if (parsed.offsetType === 'scaled') {
+            if (parsed.shift !== 0 && parsed.shift !== size) {
+                throw new Error(`Invalid ${opcode} shift #${parsed.shift}: must be #0 or #${size}`);
+            }
+            s = (parsed.shift === size && size > 0) || bytes === 1 ? 1 : 0;
+        }
+        return 0x38200800 | common | this.reg(rm) << 16 | 3 << 13 | s << 12;
+    }
+
+    encodeVector(parsed) {
+        const opcode = parsed.opcode;
+        const q = reg => (reg.lanes * reg.laneBits === 128 ? 1 : 0);
+        const size = laneBits => Math.log2(laneBits / 8);
+        // imm5 selects the element size (lowest set bit) and index (bits above it)
+        const imm5 = (laneBits, index) => ((index << 1) | 1) << size(laneBits);
+
+        switch (opcode) {
+            case 'ld1':
+            case 'st1': {
+                // 0 Q 0011000 L 000000 opcode size Rn Rt, or 0 Q 0011001 L 0 11111 ... post-indexed by the list size
+                const first = parsed.vregs[0];
+                const listOpcode = { 1: 0x7, 2: 0xA, 3: 0x6, 4: 0x2 }[parsed.vregs.length];
+                const base = parsed.writeback === 'post' ? 0x0C9F0000 : 0x0C000000;
+                return base | q(first) << 30 | (opcode === 'ld1' ? 1 : 0) << 22 | listOpcode << 12 |
+                    size(first.laneBits) << 10 | this.reg(parsed.base) << 5 | first.num;
+            }
+
+            case 'add':
+            case 'sub':
+            case 'mul':
+            case 'and':
+            case 'orr':
+            case 'eor':
+            case 'cmeq':
+            case 'cmgt': {
+                // Three same: 0 Q U 01110 size 1 Rm opcode 1 Rn Rd (logical ops put their opc in size)
+                const dest = parsed.dest;
+                let base;
+                if (parsed.immediate !== undefined) {
+                    // Compare against zero: 0 Q U 01110 size 10000 0100 op 10 Rn Rd
+                    base = opcode === 'cmeq' ? 0x0E209800 : 0x0E208800;
+                } else {
+                    base = { add: 0x0E208400, sub: 0x2E208400, mul: 0x0E209C00, and: 0x0E201C00, orr: 0x0EA01C00,
+                        eor: 0x2E201C00, cmeq: 0x2E208C00, cmgt: 0x0E203400 }[opcode];
+                }
+                const laneSize = ['and', 'orr', 'eor'].includes(opcode) ? 0 : size(dest.laneBits);
+                const rm = parsed.src2 ? parsed.src2.num : 0;
+                return base | q(dest) << 30 | laneSize << 22 | rm << 16 | parsed.src1.num << 5 | dest.num;
+            }
+
+            case 'dup': {
+                // 0 Q 0 01110000 imm5 0 0001 1 Rn Rd (general) / 0 Q 0 01110000 imm5 0 0000 1 Rn Rd (element)
+                const dest = parsed.dest;
+                if (parsed.srcElement) {
+                    return 0x0E000400 | q(dest) << 30 | imm5(dest.laneBits, parsed.srcElement.index) << 16 |
+                        parsed.srcElement.num << 5 | dest.num;
+                }
+                return 0x0E000C00 | q(dest) << 30 | imm5(dest.laneBits, 0) << 16 | this.reg(parsed.src1) << 5 | dest.num;
+            }
+
+            case 'ins': {
+                // 0 1 0 01110000 imm5 0 0011 1 Rn Rd (general) / 0 1 1 01110000 imm5 0 imm4 1 Rn Rd (element)
+                const dest = parsed.destElement;
+                if (parsed.srcElement) {
+                    const imm4 = parsed.srcElement.index << size(dest.laneBits);
+                    return 0x6E000400 | imm5(dest.laneBits, dest.index) << 16 | imm4 << 11 |
+                        parsed.srcElement.num << 5 | dest.num;
+                }
+                return 0x4E001C00 | imm5(dest.laneBits, dest.index) << 16 | this.reg(parsed.src1) << 5 | dest.num;
+            }
+
+            case 'umov': {
+                // 0 Q 0 01110000 imm5 0 0111 1 Rn Rd, Q set only for 64-bit elements
+                const elem = parsed.srcElement;
+                return 0x0E003C00 | (elem.laneBits === 64 ? 1 : 0) << 30 | imm5(elem.laneBits, elem.index) << 16 |
+                    elem.num << 5 | this.reg(parsed.dest);
+            }
+
+            case 'addv':
+                // 0 Q 0 01110 size 11000 11011 10 Rn Rd
+                return 0x0E31B800 | q(parsed.src1) << 30 | size(parsed.src1.laneBits) << 22 |
+                    parsed.src1.num << 5 | parsed.destScalar.num;
+
+            case 'movi': {
+                // 0 Q op 0111100000 abc cmode 01 defgh Rd
+                const dest = parsed.dest;
+                let op = 0;
+                let cmode;
+                let imm8;
+                if (dest.laneBits === 64) {
+                    // Each bit of imm8 expands to one all-zeros or all-ones byte
+                    op = 1;
+                    cmode = 0xE;
+                    imm8 = 0;
+                    for (let i = 0; i < 8; i++) {
+                        if ((parsed.immediate >> BigInt(i * 8)) & 0xFFn) {
+                            imm8 |= 1 << i;
+                        }
+                    }
+                } else {
+                    // The parser folded "lsl #n" into the immediate; split it back into imm8 and shift
+                    let shift = 0;
+                    while (parsed.immediate >> BigInt(shift) > 0xFFn) {
+                        shift += 8;
+                    }
+                    imm8 = Number(parsed.immediate >> BigInt(shift));
+                    if (dest.laneBits === 8) {
+                        cmode = 0xE;
+                    } else if (dest.laneBits === 16) {
+                        cmode = 0x8 | (shift / 8) << 1;
+                    } else {
+                        cmode = (shift / 8) << 1;
+                    }
+                }
+                return 0x0F000400 | q(dest) << 30 | op << 29 | (imm8 >> 5) << 16 | cmode << 12 |
+                    (imm8 & 0x1F) << 5 | dest.num;
+            }
+
+            default:
+                throw new Error(`Invalid ${opcode} instruction: no A64 encoding`);
+        }
+    }
+
+    encodeBitmaskImmediate(value, size) {
+        // Logical immediates are a 2, 4, 8, 16, 32 or 64-bit element holding one rotated run of
+        // ones, repeated to fill the register. Returns {N, immr, imms}, or null if value is not one.
+        const fullMask = (1n << BigInt(size)) - 1n;
+        value &= fullMask;
+        if (value === 0n || value === fullMask) {
+            return null;
+        }
+        for (let e = 2; e <= size; e *= 2) {
+            const elementMask = (1n << BigInt(e)) - 1n;
+            const element = value & elementMask;
+            let repeated = 0n;
+            for (let i = 0; i < size; i += e) {
+                repeated |= element << BigInt(i);
+            }
+            if (repeated !== value) {
+                continue;
+            }
+            // Smallest repeating element found: it must be a run of ones rotated right by immr
+            const ones = this.simulator.countBits(element);
+            const run = (1n << BigInt(ones)) - 1n;
+            for (let r = 0; r < e; r++) {
+                const rotated = ((run >> BigInt(r)) | (run << BigInt(e - r))) & elementMask;
+                if (rotated === element) {
+                    return { N: e === 64 ? 1 : 0, immr: r, imms: ((-e << 1) | (ones - 1)) & 0x3F };
+                }
+            }
+            return null;
+        }
+        return null;
+    }
+
+    bitmaskFields(bitmask) {
+        return bitmask.N << 22 | bitmask.immr << 16 | bitmask.imms << 10;
+    }
+
+    // Operand helpers
+    isSP(reg) {
+        return reg === 'sp' || reg === 'wsp';
+    }
+
+    reg(reg) {
+        // Register number; register 31 is sp or zr depending on the operand (see validateRegister31)
+        if (this.isSP(reg)) return 31;
+        if (!reg || typeof reg === 'string') {
+            throw new Error(`Invalid register operand${reg ? ` ${reg}` : ''}`);
+        }
+        return reg.num;
+    }
+
+    sf(reg) {
+        // 1 for 64-bit (X) operations, 0 for 32-bit (W)
+        return (reg === 'sp' || (reg && reg.type === 'x')) ? 1 : 0;
+    }
+
+    ftype(reg) {
+        // 00 single, 01 double
+        return reg.type === 'd' ? 1 : 0;
+    }
+
+    condition(name) {
+        return CONDITION_CODES[name].code;
+    }
+
+    checkSameWidth(opcode, regs) {
+        // General registers of one instruction must all be X (or sp) or all be W (or wsp)
+        const widths = regs.filter(r => r).map(r => this.sf(r));
+        if (widths.some(w => w !== widths[0])) {
+            throw new Error(`Invalid ${opcode} instruction: registers must all be X or all be W registers`);
+        }
+    }
+
+    resolveLabel(parsed, allowLibrary = false) {
+        // Code and data labels come from the symbol table; library functions called with bl
+        // branch to the stub slots placed after the code. Decoded instructions carry their target.
+        if (parsed.target !== undefined) {
+            return parsed.target;
+        }
+        const label = parsed.label;
+        if (!label) {
+            throw new Error(`Invalid ${parsed.opcode} instruction: missing label`);
+        }
+        const symbol = this.simulator.symbolTable.get(label);
+        if (symbol) {
+            return symbol.address;
+        }
+        if (allowLibrary && this.simulator.libraryStubs.has(label)) {
+            return this.simulator.libraryStubs.get(label);
+        }
+        throw new Error(`Label '${label}' not found`);
+    }
+
+    branchOffset(opcode, target, address, bits) {
+        // PC-relative word offset as a bits-wide two's complement field
+        const offset = target - address;
+        const words = offset >> 2n;
+        const limit = 1n << BigInt(bits - 1);
+        if (offset % 4n !== 0n || words < -limit || words >= limit) {
+            throw new Error(`Invalid ${opcode} instruction: target 0x${target.toString(16).toUpperCase()} is out of range (${bits}-bit word offset reaches ±${(limit * 4n).toLocaleString()} bytes)`);
+        }
+        return Number(words & ((1n << BigInt(bits)) - 1n));
+    }
+}
@@ -0,0 +1,67 @@
+// ARM64 Memory Image - raw binary (.bin) and Intel HEX files for ARM64Simulator.exportMemory
+// A memory dump is a list of blocks {address, bytes}; a raw binary has no addresses, so its blocks
+// are joined with zero filling, while Intel HEX records keep the address of every byte.
+
+// A raw binary covers everything from the first to the last block: the whole image spans ~128MB
+const MAX_BINARY_SIZE = 16 * 1024 * 1024;
+
+// Intel HEX record types
+const IHEX_DATA = 0x00;
+const IHEX_END_OF_FILE = 0x01;
+const IHEX_EXTENDED_LINEAR_ADDRESS = 0x04;
+
+class ARM64MemoryImage {
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    toBinary(blocks) {
+        // Bytes from the start of the first block to the end of the last, gaps zero-filled
+        if (blocks.length === 0) {
+            return new Uint8Array(0);
+        }
+        const start = blocks[0].address;
+        const last = blocks[blocks.length - 1];
+        const size = Number(last.address - start) + last.bytes.length;
+        if (size > MAX_BINARY_SIZE) {
+            throw new Error(`A raw binary from 0x${start.toString(16)} to 0x${(start + BigInt(size) - 1n).toString(16)} would be ` +
+                `${(size / (1024 * 1024)).toFixed(1)}MB: export a smaller range, or use Intel HEX, which keeps each block's address`);
+        }
+        const bytes = new Uint8Array(size);
+        for (const block of blocks) {
+            bytes.set(block.bytes, Number(block.address - start));
+        }
+        return bytes;
+    }
+
+    toIntelHex(blocks) {
+        // Data records of up to 16 bytes, each block's upper address bits set by an extended linear
+        // address record, and the end-of-file record; CRLF line endings as objcopy writes them
+        const lines = [];
+        let upper = 0;
+        for (const block of blocks) {
+            const base = Number(block.address);
+            let offset = 0;
+            while (offset < block.bytes.length) {
+                const address = base + offset;
+                if (Math.floor(address / 0x10000) !== upper) {
+                    upper = Math.floor(address / 0x10000);
+                    lines.push(this.hexRecord(IHEX_EXTENDED_LINEAR_ADDRESS, 0, [upper >> 8, upper & 0xFF]));
+                }
+                // A record's 16-bit address cannot wrap, so records stop at each 64KB boundary
+                const count = Math.min(16, block.bytes.length - offset, 0x10000 - (address & 0xFFFF));
+                lines.push(this.hexRecord(IHEX_DATA, address & 0xFFFF, block.bytes.subarray(offset, offset + count)));
+                offset += count;
+            }
+        }
+        lines.push(this.hexRecord(IHEX_END_OF_FILE, 0, []));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    hexRecord(type, address, data) {
+        // ":" count, address, type, data and a checksum making the byte sum zero, all as hex pairs
+        const bytes = [data.length, address >> 8, address & 0xFF, type, ...data];
+        const checksum = (0x100 - (bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF)) & 0xFF;
+        return ':' + [...bytes, checksum].map(byte => byte.toString(16).toUpperCase().padStart(2, '0')).join('');
+    }
+}
@@ -14,22 +14,41 @@ class ARM64Parser {
             rodata: this.simulator.memoryLayout.rodata.start,
             data: this.simulator.memoryLayout.data.start,
             bss: this.simulator.memoryLayout.bss.start,
-            text: 0x00000000n
+            text: this.simulator.memoryLayout.text.start
         };
+        const literalPool = []; // Pending "ldr xN, =value" entries, sized here so later labels line up
+        
+        // Constants become visible to the instruction parser as soon as they are defined
+        this.simulator.symbolTable = symbolTable;
 
         for (const line of lines) {
             const trimmed = this.removeComments(line).trim();
             if (!trimmed) continue;
 
             // Check for section directive
-            const sectionMatch = trimmed.match(/^\.(text|rodata|data|bss)\s*$/i);
-            if (sectionMatch) {
-                currentSection = sectionMatch[1].toLowerCase();
+            const section = this.matchSectionDirective(trimmed);
+            if (section) {
+                currentSection = section;
+                continue;
+            }
+            
+            // Check for constant assignment: len = . - msg, .equ len, 13, .set len, 13
+            const assignment = this.matchConstantAssignment(trimmed);
+            if (assignment) {
+                if (symbolTable.has(assignment.name)) {
+                    throw new Error(`Duplicate symbol: ${assignment.name}`);
+                }
+                symbolTable.set(assignment.name, {
+                    address: this.evaluateExpression(assignment.expr, symbolTable, sectionCounters[currentSection]),
+                    section: 'absolute',
+                    type: 'constant',
+                    isGlobal: false
+                });
                 continue;
             }
 
             // Check for .global directive
-            const globalMatch = trimmed.match(/^\.global\s+(.+)$/i);
+            const globalMatch = trimmed.match(/^\.globa?l\s+(.+)$/i);
             if (globalMatch) {
                 const symbols = globalMatch[1].split(',').map(s => s.trim());
                 for (const sym of symbols) {
@@ -70,24 +89,38 @@ class ARM64Parser {
             }
 
             // Advance location counter based on directive or instruction
-            if (currentSection === 'text') {
-                // Instructions are 4 bytes
-                sectionCounters.text += 4n;
+            if (currentSection === 'text' && !lineAfterLabel.startsWith('.')) {
+                // Instructions are 4 bytes; pseudo-instructions may expand to several
+                const parsed = this.simulator.parseInstruction(lineAfterLabel);
+                if (!parsed) {
+                    // Dropping the line would shift every later label by a word
+                    throw new Error(`Unknown or unsupported instruction: ${lineAfterLabel}`);
+                }
+                if (parsed.literal !== undefined) {
+                    this.addLiteral(literalPool, parsed);
+                }
+                sectionCounters.text += 4n * BigInt(this.getInstructionCount(parsed));
             } else {
                 // Handle data directives (use lineAfterLabel if label was on same line)
-                const directiveMatch = lineAfterLabel.match(/^\.(quad|word|hword|byte|skip|align|asciz|string)\s*(.*)$/i);
+                const directiveMatch = lineAfterLabel.match(/^\.(quad|word|hword|byte|float|double|skip|align|asciz|ascii|string|ltorg)\s*(.*)$/i);
                 if (directiveMatch) {
                     const directive = directiveMatch[1].toLowerCase();
                     const rest = directiveMatch[2].trim();
                     
                     // Handle alignment FIRST (before placing data)
-                    if (directive === 'align') {
+                    if (directive === 'ltorg') {
+                        // Literal pool is dumped here instead of after the code
+                        if (currentSection === 'text') {
+                            sectionCounters.text = this.placeLiteralPool(literalPool, sectionCounters.text);
+                            literalPool.length = 0;
+                        }
+                    } else if (directive === 'align') {
                         const alignPower = parseInt(rest) || 3; // Default: align to 2^3 = 8 bytes
                         const alignBytes = BigInt(1) << BigInt(alignPower); // 2^alignPower
                         const mask = alignBytes - 1n;
                         sectionCounters[currentSection] = (sectionCounters[currentSection] + mask) & ~mask;
-                    } else if (directive === 'asciz' || directive === 'string') {
-                        // .asciz "string" - null-terminated string
+                    } else if (directive === 'asciz' || directive === 'string' || directive === 'ascii') {
+                        // .asciz "string" - null-terminated string (.ascii has no terminator)
                         // Parse the string and process escape sequences to get accurate length
                         const stringMatch = rest.match(/^"((?:[^"\\]|\\.)*)"|^'((?:[^'\\]|\\.)*)'/);
                         if (stringMatch) {
@@ -103,11 +136,14 @@ class ARM64Parser {
                                 }
                             }
                             // Count bytes: processed string length + 1 for null terminator
-                            sectionCounters[currentSection] += BigInt(processedLength + 1);
+                            sectionCounters[currentSection] += BigInt(processedLength + (directive === 'ascii' ? 0 : 1));
                         }
-                    } else if (directive === 'quad') {
+                    } else if (directive === 'quad' || directive === 'double') {
                         const values = rest.split(',').filter(v => v.trim());
                         sectionCounters[currentSection] += BigInt(values.length) * 8n;
+                    } else if (directive === 'float') {
+                        const values = rest.split(',').filter(v => v.trim());
+                        sectionCounters[currentSection] += BigInt(values.length) * 4n;
                     } else if (directive === 'word') {
                         const values = rest.split(',').filter(v => v.trim());
                         sectionCounters[currentSection] += BigInt(values.length) * 4n;
@@ -129,6 +165,9 @@ class ARM64Parser {
                 }
             }
         }
+        
+        // Remaining literals go after the code
+        sectionCounters.text = this.placeLiteralPool(literalPool, sectionCounters.text);
 
         return { symbolTable, sectionCounters };
     }
@@ -142,17 +181,23 @@ class ARM64Parser {
             rodata: this.simulator.memoryLayout.rodata.start,
             data: this.simulator.memoryLayout.data.start,
             bss: this.simulator.memoryLayout.bss.start,
-            text: 0x00000000n
+            text: this.simulator.memoryLayout.text.start
         };
+        const literalPool = []; // Pending "ldr xN, =value" entries, emitted at .ltorg or after the code
 
         for (const line of lines) {
             const trimmed = this.removeComments(line).trim();
             if (!trimmed) continue;
 
             // Section directive
-            const sectionMatch = trimmed.match(/^\.(text|rodata|data|bss)\s*$/i);
-            if (sectionMatch) {
-                currentSection = sectionMatch[1].toLowerCase();
+            const section = this.matchSectionDirective(trimmed);
+            if (section) {
+                currentSection = section;
+                continue;
+            }
+            
+            // Constant assignments were evaluated in the first pass
+            if (this.matchConstantAssignment(trimmed)) {
                 continue;
             }
 
@@ -183,7 +228,7 @@ class ARM64Parser {
 
             // Directive
             if (lineAfterLabel.startsWith('.')) {
-                const directiveMatch = lineAfterLabel.match(/^\.(quad|word|hword|byte|skip|align|global|asciz|string)\s*(.*)$/i);
+                const directiveMatch = lineAfterLabel.match(/^\.(quad|word|hword|byte|float|double|skip|align|global|asciz|ascii|string|ltorg)\s*(.*)$/i);
                 if (directiveMatch) {
                     const directive = directiveMatch[1].toLowerCase();
                     const rest = directiveMatch[2].trim();
@@ -193,6 +238,13 @@ class ARM64Parser {
                         continue;
                     }
                     
+                    if (directive === 'ltorg') {
+                        if (currentSection === 'text') {
+                            sectionCounters.text = this.emitLiteralPool(literalPool, sectionCounters.text, symbolTable, dataInitializations);
+                        }
+                        continue;
+                    }
+                    
                     // Handle alignment FIRST (before placing data)
                     if (directive === 'align') {
                         const alignPower = parseInt(rest) || 3; // Default: align to 2^3 = 8 bytes
@@ -203,8 +255,8 @@ class ARM64Parser {
                         continue;
                     }
                     
-                    // Handle .asciz and .string directives (null-terminated strings)
-                    if (directive === 'asciz' || directive === 'string') {
+                    // Handle .asciz and .string directives (null-terminated strings) and .ascii (no terminator)
+                    if (directive === 'asciz' || directive === 'string' || directive === 'ascii') {
                         // Parse string literal (handles both "..." and '...')
                         const stringMatch = rest.match(/^"((?:[^"\\]|\\.)*)"|^'((?:[^'\\]|\\.)*)'/);
                         if (stringMatch) {
@@ -253,13 +305,15 @@ class ARM64Parser {
                                 sectionCounters[currentSection] += 1n;
                             }
                             // Add null terminator
-                            dataInitializations.push({
-                                address: sectionCounters[currentSection],
-                                value: 0n,
-                                size: 1,
-                                section: currentSection
-                            });
-                            sectionCounters[currentSection] += 1n;
+                            if (directive !== 'ascii') {
+                                dataInitializations.push({
+                                    address: sectionCounters[currentSection],
+                                    value: 0n,
+                                    size: 1,
+                                    section: currentSection
+                                });
+                                sectionCounters[currentSection] += 1n;
+                            }
                         } else {
                             throw new Error(`Invalid string literal in .asciz/.string directive: ${rest}`);
                         }
@@ -279,13 +333,33 @@ class ARM64Parser {
                                     address: sectionCounters[currentSection],
                                     value: value,
                                     size: size,
-                                    section: currentSection
+                                    section: currentSection,
+                                    // A label's address needs a relocation when written to an object file
+                                    symbol: this.isAddressSymbol(valueStr, symbolTable) ? valueStr : undefined
                                 });
                                 sectionCounters[currentSection] += BigInt(size);
                             } catch (e) {
                                 throw new Error(`Failed to parse value in ${directive} directive: ${valueStr} - ${e.message}`);
                             }
                         }
+                    } else if (directive === 'float' || directive === 'double') {
+                        // IEEE-754 single/double precision values, stored as raw bits
+                        const valueStrings = rest.split(',').map(v => v.trim()).filter(v => v);
+                        const size = directive === 'double' ? 8 : 4;
+                        
+                        for (const valueStr of valueStrings) {
+                            const value = Number(valueStr);
+                            if (isNaN(value) && !/^[+-]?nan$/i.test(valueStr)) {
+                                throw new Error(`Failed to parse value in ${directive} directive: ${valueStr}`);
+                            }
+                            dataInitializations.push({
+                                address: sectionCounters[currentSection],
+                                value: this.simulator.numberToFpBits(value, size * 8),
+                                size: size,
+                                section: currentSection
+                            });
+                            sectionCounters[currentSection] += BigInt(size);
+                        }
                     } else if (directive === 'skip') {
                         const size = parseInt(rest);
                         if (!isNaN(size) && size > 0) {
@@ -310,10 +384,25 @@ class ARM64Parser {
 
             // Instruction (only in .text section)
             if (currentSection === 'text') {
-                const parsed = this.simulator.parseInstruction(trimmed);
-                if (parsed) {
+                const parsed = this.simulator.parseInstruction(lineAfterLabel);
+                if (parsed && parsed.literal !== undefined) {
+                    this.addLiteral(literalPool, parsed);
+                }
+                const expansion = this.simulator.expandPseudoInstruction(parsed);
+                if (expansion) {
+                    // Pseudo-instruction: emit each real instruction, remembering the source line
+                    for (const expandedLine of expansion) {
+                        instructions.push({
+                            original: expandedLine,
+                            expandedFrom: lineAfterLabel,
+                            address: sectionCounters.text,
+                            parsed: this.simulator.parseInstruction(expandedLine)
+                        });
+                        sectionCounters.text += 4n;
+                    }
+                } else if (parsed) {
                     instructions.push({
-                        original: trimmed,
+                        original: lineAfterLabel,
                         address: sectionCounters.text,
                         parsed: parsed
                     });
@@ -322,7 +411,134 @@ class ARM64Parser {
             }
         }
 
-        return { instructions, dataInitializations };
+        // Remaining literals go after the code
+        sectionCounters.text = this.emitLiteralPool(literalPool, sectionCounters.text, symbolTable, dataInitializations);
+
+        // Library functions called with bl need a branch target: one 4-byte stub slot each, after the code
+        const libraryStubs = this.placeLibraryStubs(instructions, symbolTable, sectionCounters.text);
+
+        return { instructions, dataInitializations, libraryStubs };
+    }
+
+    placeLibraryStubs(instructions, symbolTable, address) {
+        // Returns a Map of function name -> stub address, in order of first call
+        const libraryStubs = new Map();
+        let addr = (address + 3n) & ~3n;
+        for (const instruction of instructions) {
+            const { opcode, label } = instruction.parsed;
+            if (opcode === 'bl' && LIBRARY_FUNCTIONS.includes(label) && !symbolTable.has(label) && !libraryStubs.has(label)) {
+                libraryStubs.set(label, addr);
+                addr += 4n;
+            }
+        }
+        return libraryStubs;
+    }
+
+    getInstructionCount(parsed) {
+        // Number of 4-byte instructions a parsed source line assembles to
+        const expansion = this.simulator.expandPseudoInstruction(parsed);
+        return expansion ? expansion.length : 1;
+    }
+
+    addLiteral(literalPool, parsed) {
+        // Add an "ldr Rt, =value" literal to the pending pool, sharing entries with equal value and size
+        const size = parsed.dest.type === 'w' ? 4 : 8;
+        let entry = literalPool.find(e => e.expr === parsed.literal && e.size === size);
+        if (!entry) {
+            entry = { expr: parsed.literal, size: size, users: [] };
+            literalPool.push(entry);
+        }
+        entry.users.push(parsed);
+        return entry;
+    }
+
+    placeLiteralPool(literalPool, address) {
+        // Assign addresses to pending literals, each aligned to its own size
+        // Returns the address just past the pool
+        let addr = address;
+        for (const entry of literalPool) {
+            const alignMask = BigInt(entry.size) - 1n;
+            addr = (addr + alignMask) & ~alignMask;
+            entry.address = addr;
+            addr += BigInt(entry.size);
+        }
+        return addr;
+    }
+
+    emitLiteralPool(literalPool, address, symbolTable, dataInitializations) {
+        // Place pending literals, write their values into the Text region and
+        // point each ldr that uses them at the entry. Returns the address just past the pool
+        const endAddr = this.placeLiteralPool(literalPool, address);
+        
+        for (const entry of literalPool) {
+            let value;
+            if (symbolTable.has(entry.expr)) {
+                value = symbolTable.get(entry.expr).address;
+            } else {
+                try {
+                    value = this.simulator.parseImmediate(entry.expr.replace(/^#/, ''));
+                } catch (e) {
+                    throw new Error(`Cannot resolve literal '=${entry.expr}': not a label or number`);
+                }
+            }
+            // Like other immediates, a value the register cannot hold is rejected, not truncated:
+            // either signed or unsigned 64-bit (32-bit for a W register) is accepted
+            const bits = BigInt(entry.size * 8);
+            if (value < -(1n << (bits - 1n)) || value >= (1n << bits)) {
+                throw new Error(`Invalid ldr literal =${entry.expr}: must be in range -2^${bits - 1n} to 2^${bits}-1 for ${entry.size === 8 ? 'an X' : 'a W'} register`);
+            }
+            const mask = entry.size === 8 ? 0xFFFFFFFFFFFFFFFFn : 0xFFFFFFFFn;
+            
+            dataInitializations.push({
+                address: entry.address,
+                value: value & mask,
+                size: entry.size,
+                section: 'text',
+                isLiteral: true,
+                symbol: this.isAddressSymbol(entry.expr, symbolTable) ? entry.expr : undefined
+            });
+            for (const parsed of entry.users) {
+                parsed.literalAddress = entry.address;
+            }
+        }
+        
+        literalPool.length = 0;
+        return endAddr;
+    }
+
+    isAddressSymbol(name, symbolTable) {
+        // A label (as opposed to a number or an .equ constant), whose value is an address
+        return symbolTable.has(name) && symbolTable.get(name).section !== 'absolute';
+    }
+
+    matchSectionDirective(line) {
+        // .text / .data / .rodata / .bss, also written as ".section .data" (subsections and flags are ignored)
+        const match = line.match(/^(?:\.section\s+)?\.(text|rodata|data|bss)(?:\.[\w.]*)?\s*(?:,.*)?$/i);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    matchConstantAssignment(line) {
+        // name = expr, .equ name, expr or .set name, expr
+        const match = line.match(/^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(.+)$/) ||
+            line.match(/^\.(?:equ|set)\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*,\s*(.+)$/i);
+        return match ? { name: match[1], expr: match[2].trim() } : null;
+    }
+
+    evaluateExpression(expr, symbolTable, location) {
+        // Sum of terms joined by + and -; a term is a number, a defined symbol or "." (the current location)
+        const tokens = expr.replace(/\s+/g, '').split(/([+-])/).filter(t => t !== '');
+        let total = 0n;
+        let sign = 1n;
+        for (const token of tokens) {
+            if (token === '+' || token === '-') {
+                sign = token === '-' ? -sign : sign;
+                continue;
+            }
+            const value = token === '.' ? location : this.parseValue(token, symbolTable);
+            total += sign * value;
+            sign = 1n;
+        }
+        return total;
     }
 
     parseValue(valueStr, symbolTable) {
@@ -0,0 +1,374 @@
+// ARM64 Syscalls - Linux AArch64 system call layer for "svc #0"
+// Syscall number in x8, arguments in x0-x5, result (or -errno) returned in x0
+
+// Linux errno values returned as -errno
+const LINUX_ERRNO = {
+    ENOENT: 2,
+    EBADF: 9,
+    ENOMEM: 12,
+    EFAULT: 14,
+    EEXIST: 17,
+    EINVAL: 22,
+    EMFILE: 24,
+    ENOSYS: 38
+};
+
+// openat flags (AArch64 uses the generic values)
+const O_ACCMODE = 3;
+const O_RDONLY = 0;
+const O_WRONLY = 1;
+const O_CREAT = 0x40;
+const O_EXCL = 0x80;
+const O_TRUNC = 0x200;
+const O_APPEND = 0x400;
+
+const AT_FDCWD = -100;
+const MAP_FIXED = 0x10;
+const MAP_ANONYMOUS = 0x20;
+const PAGE_SIZE = 0x1000n;
+// Most bytes one write() transfers; Linux caps a call at MAX_RW_COUNT, and callers loop on short counts
+const MAX_WRITE_COUNT = 0x100000n;
+const MAX_OPEN_FILES = 64;
+
+class ARM64Syscalls {
+    constructor(simulator) {
+        this.simulator = simulator;
+        // Virtual file system: absolute path -> array of byte values
+        // Kept across reset so files written by one run can be read by the next
+        this.files = new Map();
+        this.reset();
+    }
+
+    reset() {
+        // Open file descriptions: fd -> {stream} for stdin/stdout/stderr, {path, position, flags} for files
+        this.openFiles = new Map([
+            [0, { stream: 'stdin', flags: O_RDONLY }],
+            [1, { stream: 'stdout', flags: O_WRONLY }],
+            [2, { stream: 'stderr', flags: O_WRONLY }]
+        ]);
+        // Console input not yet consumed by read(0, ...)
+        this.stdinBuffer = '';
+        // mmap hands out pages downwards from the top of the Heap region; brk grows up from the bottom
+        const heap = this.simulator.memoryLayout.heap;
+        this.mmapTop = (heap.end + 1n) & ~(PAGE_SIZE - 1n);
+        this.mappings = []; // {start, length}
+    }
+
+    // Create or replace a file in the virtual file system
+    addFile(path, contents) {
+        const bytes = typeof contents === 'string'
+            ? Array.from(contents, ch => ch.charCodeAt(0) & 0xFF)
+            : Array.from(contents);
+        this.files.set(this.normalizePath(path), bytes);
+    }
+
+    readFile(path) {
+        const bytes = this.files.get(this.normalizePath(path));
+        return bytes ? this.bytesToString(bytes) : null;
+    }
+
+    normalizePath(path) {
+        // Resolve "." and ".." against the root; relative paths are relative to "/"
+        const parts = [];
+        for (const part of path.split('/')) {
+            if (part === '' || part === '.') continue;
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+        return '/' + parts.join('/');
+    }
+
+    // Execute the syscall selected by x8, writing the result to x0
+    async handle() {
+        const sim = this.simulator;
+        const number = Number(sim.registers.x8);
+        const args = [0, 1, 2, 3, 4, 5].map(i => sim.registers[`x${i}`]);
+
+        let result;
+        switch (number) {
+            case 56:
+                result = this.sysOpenat(args);
+                break;
+            case 57:
+                result = this.sysClose(args);
+                break;
+            case 63:
+                result = await this.sysRead(args);
+                break;
+            case 64:
+                result = this.sysWrite(args);
+                break;
+            case 93:
+            case 94:
+                // exit / exit_group: there is only one thread, so both end the program
+                return this.sysExit(args);
+            case 113:
+                result = this.sysClockGettime(args);
+                break;
+            case 214:
+                result = this.sysBrk(args);
+                break;
+            case 215:
+                result = this.sysMunmap(args);
+                break;
+            case 222:
+                result = this.sysMmap(args);
+                break;
+            default:
+                result = -LINUX_ERRNO.ENOSYS;
+        }
+
+        sim.setRegisterValue({ type: 'x', num: 0, name: 'x0' }, BigInt(result) & 0xFFFFFFFFFFFFFFFFn);
+        return true;
+    }
+
+    sysExit(args) {
+        this.simulator.terminate(args[0]);
+        return false; // End of program
+    }
+
+    sysWrite(args) {
+        // write(fd, buf, count)
+        const [fd, buf, count] = args;
+        const file = this.openFiles.get(Number(fd));
+        if (!file || (file.flags & O_ACCMODE) === O_RDONLY) {
+            return -LINUX_ERRNO.EBADF;
+        }
+
+        if (count === 0n) {
+            return 0;
+        }
+        // The whole buffer must be mapped before anything is written, but only the first
+        // MAX_WRITE_COUNT bytes are copied, so a huge count does not walk memory byte by byte
+        const region = this.simulator.getMemoryRegion(buf);
+        if (!region || buf + count - 1n > region.end) {
+            return -LINUX_ERRNO.EFAULT;
+        }
+        const bytes = this.simulator.readBytes(buf, Number(count < MAX_WRITE_COUNT ? count : MAX_WRITE_COUNT));
+
+        if (file.stream) {
+            const text = this.bytesToString(bytes);
+            if (this.simulator.ioCallbacks.output) {
+                this.simulator.ioCallbacks.output(text);
+            } else {
+                console.log(text);
+            }
+            return bytes.length;
+        }
+
+        const contents = this.files.get(file.path);
+        if (file.flags & O_APPEND) {
+            file.position = contents.length;
+        }
+        while (contents.length < file.position) {
+            contents.push(0);
+        }
+        for (let i = 0; i < bytes.length; i++) {
+            contents[file.position + i] = bytes[i];
+        }
+        file.position += bytes.length;
+        return bytes.length;
+    }
+
+    async sysRead(args) {
+        // read(fd, buf, count)
+        const [fd, buf, count] = args;
+        const file = this.openFiles.get(Number(fd));
+        if (!file || (file.flags & O_ACCMODE) === O_WRONLY) {
+            return -LINUX_ERRNO.EBADF;
+        }
+
+        let bytes;
+        if (file.stream) {
+            // Like a terminal: block for one line of input, then hand it out across reads
+            if (this.stdinBuffer.length === 0 && Number(count) > 0) {
+                let input = '';
+                if (this.simulator.ioCallbacks.inputSync) {
+                    input = await this.simulator.ioCallbacks.inputSync('');
+                } else {
+                    input = prompt('') || '';
+                }
+                this.stdinBuffer = input.endsWith('\n') ? input : input + '\n';
+            }
+            const text = this.stdinBuffer.substring(0, Number(count));
+            this.stdinBuffer = this.stdinBuffer.substring(text.length);
+            bytes = Array.from(text, ch => ch.charCodeAt(0) & 0xFF);
+        } else {
+            const contents = this.files.get(file.path);
+            bytes = contents.slice(file.position, file.position + Number(count));
+            file.position += bytes.length;
+        }
+
+        try {
+            this.writeBytes(buf, bytes);
+        } catch (e) {
+            return -LINUX_ERRNO.EFAULT;
+        }
+        return bytes.length;
+    }
+
+    sysOpenat(args) {
+        // openat(dirfd, pathname, flags, mode)
+        const dirfd = Number(this.simulator.toSigned(args[0], 64));
+        const flags = Number(args[2]);
+
+        let path;
+        try {
+            path = this.simulator.readString(args[1]);
+        } catch (e) {
+            return -LINUX_ERRNO.EFAULT;
+        }
+        if (!path.startsWith('/') && dirfd !== AT_FDCWD) {
+            // Directories are not modelled, so only the current directory can anchor a relative path
+            return -LINUX_ERRNO.EBADF;
+        }
+
+        const fullPath = this.normalizePath(path);
+        if (this.files.has(fullPath)) {
+            if ((flags & O_CREAT) && (flags & O_EXCL)) {
+                return -LINUX_ERRNO.EEXIST;
+            }
+            if ((flags & O_TRUNC) && (flags & O_ACCMODE) !== O_RDONLY) {
+                this.files.set(fullPath, []);
+            }
+        } else if (flags & O_CREAT) {
+            this.files.set(fullPath, []);
+        } else {
+            return -LINUX_ERRNO.ENOENT;
+        }
+
+        // Lowest free descriptor, as POSIX requires
+        for (let fd = 0; fd < MAX_OPEN_FILES; fd++) {
+            if (!this.openFiles.has(fd)) {
+                this.openFiles.set(fd, { path: fullPath, position: 0, flags: flags });
+                return fd;
+            }
+        }
+        return -LINUX_ERRNO.EMFILE;
+    }
+
+    sysClose(args) {
+        // close(fd)
+        const fd = Number(args[0]);
+        if (!this.openFiles.has(fd)) {
+            return -LINUX_ERRNO.EBADF;
+        }
+        this.openFiles.delete(fd);
+        return 0;
+    }
+
+    sysClockGettime(args) {
+        // clock_gettime(clockid, struct timespec *tp) - tp is {tv_sec, tv_nsec}, 8 bytes each
+        const [clockId, tp] = args;
+        let nanoseconds;
+        switch (Number(clockId)) {
+            case 0: // CLOCK_REALTIME
+            case 5: // CLOCK_REALTIME_COARSE
+                nanoseconds = BigInt(Date.now()) * 1000000n;
+                break;
+            case 1: // CLOCK_MONOTONIC
+            case 4: // CLOCK_MONOTONIC_RAW
+            case 6: // CLOCK_MONOTONIC_COARSE
+            case 7: // CLOCK_BOOTTIME
+                nanoseconds = BigInt(Math.floor((typeof performance !== 'undefined' ? performance.now() : Date.now()) * 1e6));
+                break;
+            default:
+                return -LINUX_ERRNO.EINVAL;
+        }
+
+        try {
+            this.simulator.writeMemory(tp, nanoseconds / 1000000000n, 8);
+            this.simulator.writeMemory(tp + 8n, nanoseconds % 1000000000n, 8);
+        } catch (e) {
+            return -LINUX_ERRNO.EFAULT;
+        }
+        return 0;
+    }
+
+    sysBrk(args) {
+        // brk(addr): move the program break inside the Heap region; returns the (possibly unchanged) break
+        const sim = this.simulator;
+        const requested = args[0];
+        if (requested >= sim.memoryLayout.heap.start && requested <= this.mmapTop) {
+            sim.heapPtr = requested;
+        }
+        return sim.heapPtr;
+    }
+
+    sysMmap(args) {
+        // mmap(addr, length, prot, flags, fd, offset)
+        // Anonymous mappings are zero-filled; file mappings get a private copy of the file contents
+        const [, length, , flagsArg, fdArg, offset] = args;
+        const flags = Number(flagsArg);
+        if (length === 0n || (flags & MAP_FIXED) || offset % PAGE_SIZE !== 0n) {
+            return -LINUX_ERRNO.EINVAL;
+        }
+
+        let contents = [];
+        if (!(flags & MAP_ANONYMOUS)) {
+            const file = this.openFiles.get(Number(fdArg));
+            if (!file || file.stream) {
+                return -LINUX_ERRNO.EBADF;
+            }
+            contents = this.files.get(file.path).slice(Number(offset), Number(offset + length));
+        }
+
+        const size = (length + PAGE_SIZE - 1n) & ~(PAGE_SIZE - 1n);
+        // Pages are handed out downwards and not reused, like a bump allocator
+        const start = this.mmapTop - size;
+        if (start < this.simulator.heapPtr) {
+            return -LINUX_ERRNO.ENOMEM;
+        }
+
+        this.clearBytes(start, size);
+        this.writeBytes(start, contents);
+        this.mappings.push({ start: start, length: size });
+        this.mmapTop = start;
+        return start;
+    }
+
+    sysMunmap(args) {
+        // munmap(addr, length): drop every mapping inside the range and zero its pages
+        const [addr, length] = args;
+        if (addr % PAGE_SIZE !== 0n || length === 0n) {
+            return -LINUX_ERRNO.EINVAL;
+        }
+        const end = addr + ((length + PAGE_SIZE - 1n) & ~(PAGE_SIZE - 1n));
+
+        this.mappings = this.mappings.filter(mapping => {
+            const inside = mapping.start >= addr && mapping.start + mapping.length <= end;
+            if (inside) {
+                this.clearBytes(mapping.start, mapping.length);
+            }
+            return !inside;
+        });
+        return 0;
+    }
+
+    bytesToString(bytes) {
+        // One character per byte, converted in chunks: spreading a large buffer into
+        // String.fromCharCode overflows the call stack
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            text += String.fromCharCode.apply(null, bytes.slice(i, i + 0x8000));
+        }
+        return text;
+    }
+
+    writeBytes(address, bytes) {
+        bytes.forEach((byte, i) => {
+            this.simulator.writeMemory(address + BigInt(i), BigInt(byte), 1);
+            this.simulator.changedMemory.add(Number(address) + i);
+        });
+    }
+
+    clearBytes(address, length) {
+        const start = Number(address);
+        for (let i = 0; i < Number(length); i++) {
+            this.simulator.memory.delete(start + i);
+        }
+    }
+}